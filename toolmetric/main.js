@@ -4,58 +4,76 @@
   Notes: some conversions (PDF->PNG/JPG) use PDF.js rendering to canvas.
 */
 
-// Load pdf-lib from CDN dynamically if not present
-const PDF_LIB_URL = 'https://cdn.jsdelivr.net/npm/pdf-lib/dist/pdf-lib.min.js';
-const PDFJS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.9.179/pdf.min.js';
-const PDFJS_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.9.179/pdf.worker.min.js';
-const JSZIP_URL = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
+// main.js is also the script of the processing Web Worker (see "Web Worker processing"), which has no DOM
+const IN_WORKER = typeof WorkerGlobalScope!=='undefined' && self instanceof WorkerGlobalScope;
+if(IN_WORKER) self.window = self;
+
+// Third-party libraries are served from vendor/ next to this file (see vendor/README.md) and only fetched from a
+// CDN when the local copy is missing, so the tools work offline and behind proxies that block CDNs. keep the
+// versions in step with PRECACHE in sw.js.
+const ASSET_BASE = new URL('.', (!IN_WORKER && document.currentScript && document.currentScript.src) || location.href).href;
+const LIBRARIES = {
+  pdfLib: { global:'PDFLib', local:'vendor/pdf-lib.min.js', cdn:'https://cdn.jsdelivr.net/npm/pdf-lib@1.17.1/dist/pdf-lib.min.js' },
+  pdfjs: { global:'pdfjsLib', local:'vendor/pdfjs/pdf.min.js', cdn:'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.9.179/pdf.min.js' },
+  pdfjsWorker: { local:'vendor/pdfjs/pdf.worker.min.js', cdn:'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.9.179/pdf.worker.min.js' },
+  jszip: { global:'JSZip', local:'vendor/jszip.min.js', cdn:'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js' },
+  docx: { global:'docx', local:'vendor/docx.js', cdn:'https://cdn.jsdelivr.net/npm/docx@7.1.0/build/index.js' },
+  tesseract: { global:'Tesseract', local:'vendor/tesseract/tesseract.min.js', cdn:'https://cdn.jsdelivr.net/npm/tesseract.js@4.1.1/dist/tesseract.min.js' },
+  fontkit: { global:'fontkit', local:'vendor/fontkit.umd.min.js', cdn:'https://cdn.jsdelivr.net/npm/@pdf-lib/fontkit@1.1.1/dist/fontkit.umd.min.js' }
+};
+const libraryUrl = (name, source)=>source==='local' ? ASSET_BASE + LIBRARIES[name].local : LIBRARIES[name].cdn;
+
+function injectScript(src){
+  if(IN_WORKER) return new Promise((res,rej)=>{ try{ importScripts(src); res(); }catch(e){ rej(new Error('Could not load '+src)); } });
+  return new Promise((res,rej)=>{
+    const s=document.createElement('script'); s.src=src;
+    s.onload=()=>res(s); s.onerror=()=>{ s.remove(); rej(new Error('Could not load '+src)); };
+    document.head.appendChild(s);
+  });
+}
+
+// load one of LIBRARIES, trying the local copy before the CDN; resolves to the source that worked ('local'|'cdn').
+// concurrent calls share one promise, so a library is never injected twice; a failed load is forgotten so a
+// later call can try again
+const scriptLoads = new Map();
+function loadLibrary(name){
+  const lib = LIBRARIES[name];
+  if(lib.global && window[lib.global]) return Promise.resolve(scriptLoads.has(name) ? scriptLoads.get(name) : 'page');
+  if(!scriptLoads.has(name)){
+    const loading = injectScript(libraryUrl(name, 'local')).then(()=>'local', ()=>{
+      console.warn(`Local copy of ${name} unavailable, loading it from the CDN`);
+      return injectScript(libraryUrl(name, 'cdn')).then(()=>'cdn');
+    });
+    scriptLoads.set(name, loading);
+    loading.catch(()=>scriptLoads.delete(name));
+  }
+  return scriptLoads.get(name);
+}
+
 let PDFLibLoaded = false;
 async function ensurePdfLib(){
-  if(window.PDFLib) { PDFLibLoaded = true; return; }
-  await new Promise((res,rej)=>{
-    const s=document.createElement('script');s.src=PDF_LIB_URL;s.onload=res;s.onerror=rej;document.head.appendChild(s);
-  });
+  await loadLibrary('pdfLib');
   PDFLibLoaded = true;
 }
 
 async function ensurePdfJs(){
-  if(window.pdfjsLib) return;
-  await new Promise((res,rej)=>{
-    const s=document.createElement('script');
-    s.src=PDFJS_URL;
-    s.onload=()=>{
-      try{ window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL; }catch(e){console.warn('Could not set pdfjs workerSrc', e)}
-      res();
-    };
-    s.onerror=rej;
-    document.head.appendChild(s);
-  });
+  const source = await loadLibrary('pdfjs');
+  // the worker has to come from the same place as the library; a page that included pdf.js itself sets up its own
+  if(source!=='page' && !window.pdfjsLib.GlobalWorkerOptions.workerSrc){
+    try{ window.pdfjsLib.GlobalWorkerOptions.workerSrc = libraryUrl('pdfjsWorker', source); }catch(e){console.warn('Could not set pdfjs workerSrc', e)}
+  }
+}
+
+async function ensureJSZip(){
+  await loadLibrary('jszip');
 }
 
 async function ensureDocx(){
   // make sure both JSZip and the docx builder are available; the latter is used for
   // properly formatted .docx output (bullet lists, page breaks, etc.). loading is
   // idempotent so calling multiple times is safe.
-  if(window.JSZip && window.docx) return;
-
-  if(!window.JSZip){
-    await new Promise((res,rej)=>{
-      const s=document.createElement('script');
-      s.src=JSZIP_URL;
-      s.onload=res;
-      s.onerror=rej;
-      document.head.appendChild(s);
-    });
-  }
-  if(!window.docx){
-    await new Promise((res,rej)=>{
-      const s=document.createElement('script');
-      s.src='https://cdn.jsdelivr.net/npm/docx@7.1.0/build/index.js';
-      s.onload=res;
-      s.onerror=rej;
-      document.head.appendChild(s);
-    });
-  }
+  await ensureJSZip();
+  await loadLibrary('docx');
 }
 
 function validatePDF(file){
@@ -64,466 +82,4047 @@ function validatePDF(file){
   return true;
 }
 
+// every tool call gets a task: its own progress reporting and quiet flag, handed explicitly to the cores and helpers
+// it runs, so overlapping calls (a pipeline next to a batch, two tools at once) never share state. from the options:
+//   onProgress (function) : called with { percent, stage, page, pages } as the work advances
+//   signal (AbortSignal)  : cancel the call; it stops with an AbortError at its next progress update
+//   quiet (boolean)       : hand the result back without downloading it or alerting, and leave the progress bar to
+//                           the caller (batch runs its tools this way; in a worker, progress still goes to the page's
+//                           stub, which applies the same rule)
+// task.step(from, to, detail) is a task for one part of the work: it reports into that range of its parent's
+// progress and adds detail to what it reports (the pipeline tags each step's progress this way)
+function createTask({ onProgress=null, quiet=false, signal=null } = {}, parent=null, [from, to]=[0, 100], tag=null){
+  const task = {
+    quiet: !!quiet || !!(parent && parent.quiet),
+    signal: signal || (parent && parent.signal) || null,
+    progress(percent, detail={}){
+      if(signal && signal.aborted) throw cancelledError();
+      percent = from + (to-from)*Math.min(100, Math.max(0, percent))/100;
+      if(tag) detail = { ...tag, ...detail };
+      if(onProgress) onProgress({ percent, ...detail });
+      if(parent) parent.progress(percent, detail);
+      else if(IN_WORKER || !task.quiet) showProgress(percent, detail);
+    },
+    step(start, end, detail){ return createTask({}, task, [start, end], detail); },
+    download(data, filename){ if(!task.quiet) downloadBlob(data instanceof Blob ? data : new Blob([data], { type:'application/pdf' }), filename); },
+    notify(message){ if(!task.quiet) alert(message); }
+  };
+  return task;
+}
+
+// accept a File, Blob, ArrayBuffer/Uint8Array or pdf-lib PDFDocument and return a File the tools can take
+async function toFile(input, name='document.pdf'){
+  if(input instanceof File) return input;
+  if(window.PDFLib && input instanceof PDFLib.PDFDocument) input = await input.save();
+  if(input instanceof Blob) return new File([input], name, { type: input.type || 'application/pdf' });
+  if(input instanceof ArrayBuffer || ArrayBuffer.isView(input)) return new File([input], name, { type:'application/pdf' });
+  throw new Error('Unsupported input: expected a File, Blob, bytes or PDFDocument');
+}
+
 function downloadPDF(bytes, filename='result.pdf'){
-  const blob = new Blob([bytes], {type:'application/pdf'});
+  downloadBlob(new Blob([bytes], {type:'application/pdf'}), filename);
+}
+
+function downloadBlob(blob, filename){
+  if(IN_WORKER){ workerDownloads.push(blob.arrayBuffer().then(buffer=>postMessage({ type:'download', name: filename, mime: blob.type, buffer }, [buffer]))); return; }
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a'); a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove();
   setTimeout(()=>URL.revokeObjectURL(url), 5000);
 }
 
-function showProgress(percent){
+// detail says where the work is, { stage, page, pages }, for the status line
+function showProgress(percent, detail={}){
+  if(IN_WORKER){ postMessage({ type:'progress', percent, ...detail }); return; }
   const bar = document.querySelector('.progress > i');
   if(bar) bar.style.width = Math.min(100,Math.max(0,percent))+'%';
+  const label = document.querySelector('.progress-status span');
+  if(label && detail.stage) label.textContent = progressText(detail);
 }
 
-function handleError(err){
-  console.error(err); alert('Error: '+(err.message||err));
+// task is the failed call's task or options; quiet calls leave reporting to their caller (see createTask)
+function handleError(err, task){
+  console.error(err); if(!(task && task.quiet) && err.name!=='AbortError') alert('Error: '+(err.message||err));
 }
 
-/* 1. compressPDF - attempts to reduce size by downsampling images and removing unused objects */
-async function compressPDF(file){
-  try{validatePDF(file); showProgress(5); await ensurePdfLib();
-    const array = await file.arrayBuffer();
-    const { PDFDocument } = PDFLib;
-    const pdfDoc = await PDFDocument.load(array);
-    showProgress(20);
-    const pages = pdfDoc.getPages();
-    for(let i=0;i<pages.length;i++){
-      // Rough approach: flatten images by re-embedding at lower quality if they are XObjects
-      const page = pages[i];
-      // no direct API to downsample images; placeholder to reduce size by setting compression when saving
-    }
-    showProgress(60);
-    const bytes = await pdfDoc.save({ useObjectStreams:true, addDefaultPage:false });
-    showProgress(100);
-    downloadPDF(bytes, file.name.replace(/\.pdf$/i,'')+'-compressed.pdf');
-    return bytes;
-  }catch(err){handleError(err);throw err}
+function formatBytes(n){
+  if(n < 1024) return n+' B';
+  if(n < 1024*1024) return (n/1024).toFixed(1)+' KB';
+  return (n/1024/1024).toFixed(2)+' MB';
 }
 
-/* 2. removeBlankPages - removes pages with very little content */
-async function removeBlankPages(file){
-  try{validatePDF(file); await ensurePdfLib(); showProgress(5);
-    const array = await file.arrayBuffer(); const { PDFDocument } = PDFLib;
-    const pdfDoc = await PDFDocument.load(array);
-    const out = await PDFDocument.create();
-    const pages = pdfDoc.getPages();
-    for(let i=0;i<pages.length;i++){
-      const p = pages[i];
-      const content = (await p.getTextContent?.()) || '';
-      // Heuristic: check sized content length from raw page
-      const raw = p.node?.Contents || p.node?.get('Contents');
-      // If page has limited content streams treat as blank
-      const isBlank = !raw || raw.size===0 || JSON.stringify(raw).length < 50;
-      if(!isBlank){
-        const [copied] = await out.copyPages(pdfDoc,[i]); out.addPage(copied);
-      }
+// render a PDF.js page onto a fresh canvas at the given scale ('transparent' background leaves alpha intact)
+async function renderPageToCanvas(page, scale=1, background='#ffffff'){
+  const viewport = page.getViewport({ scale });
+  const canvas = createCanvas(Math.max(1, Math.round(viewport.width)), Math.max(1, Math.round(viewport.height)));
+  const ctx = canvas.getContext('2d');
+  if(background!=='transparent'){ ctx.fillStyle = background; ctx.fillRect(0, 0, canvas.width, canvas.height); }
+  await page.render({ canvasContext: ctx, viewport, background: background==='transparent' ? 'rgba(0,0,0,0)' : background }).promise;
+  return canvas;
+}
+
+// a blank canvas: an OffscreenCanvas in the processing worker, which has no DOM, a detached <canvas> on the page
+function createCanvas(width, height){
+  if(IN_WORKER) return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas'); canvas.width = width; canvas.height = height;
+  return canvas;
+}
+
+function canvasToBlob(canvas, type='image/png', quality){
+  if(canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+  return new Promise((res,rej)=>canvas.toBlob(b=>b ? res(b) : rej(new Error('Canvas export failed')), type, quality));
+}
+
+// PDF.js draws into scratch canvases from a factory; the default one needs the DOM
+const OFFSCREEN_CANVAS_FACTORY = {
+  create(width, height){ const canvas = new OffscreenCanvas(width, height); return { canvas, context: canvas.getContext('2d') }; },
+  reset(target, width, height){ target.canvas.width = width; target.canvas.height = height; },
+  destroy(target){ target.canvas.width = 0; target.canvas.height = 0; target.canvas = null; target.context = null; }
+};
+
+// open bytes with PDF.js; in the worker fonts are drawn as paths because FontFace loading needs a document
+function openPdfJs(data){
+  return pdfjsLib.getDocument(IN_WORKER ? { data, disableFontFace: true, canvasFactory: OFFSCREEN_CANVAS_FACTORY } : { data }).promise;
+}
+
+/* ---- image XObject helpers (used by compressPDF and extractImages) ---- */
+
+// filters pdf-lib's decodePDFRawStream understands; anything else (DCT, JPX, JBIG2, CCITT) needs special handling
+const DECODABLE_FILTERS = ['FlateDecode','LZWDecode','ASCII85Decode','ASCIIHexDecode','RunLengthDecode'];
+
+function dictNumber(dict, key, fallback=0){
+  const v = dict.lookup(PDFLib.PDFName.of(key));
+  return v instanceof PDFLib.PDFNumber ? v.asNumber() : fallback;
+}
+
+function imageFilters(dict){
+  const { PDFName, PDFArray } = PDFLib;
+  const f = dict.lookup(PDFName.of('Filter'));
+  if(f instanceof PDFName) return [f.decodeText()];
+  if(f instanceof PDFArray) return f.asArray().map(x=>dict.context.lookup(x).decodeText());
+  return [];
+}
+
+// walk each page's Resources/XObject dictionary, descending into Form XObjects, and
+// return every Image XObject once, tagged with the first page it appears on
+function collectImageXObjects(pdfDoc){
+  const { PDFName, PDFDict, PDFRef, PDFRawStream } = PDFLib;
+  const seen = new Set(); const images = [];
+  const visit = (resources, pageIndex, pageSize)=>{
+    if(!(resources instanceof PDFDict)) return;
+    const xobjects = resources.lookup(PDFName.of('XObject'));
+    if(!(xobjects instanceof PDFDict)) return;
+    for(const [name, ref] of xobjects.entries()){
+      if(!(ref instanceof PDFRef) || seen.has(ref.tag)) continue;
+      seen.add(ref.tag);
+      const stream = pdfDoc.context.lookup(ref);
+      if(!(stream instanceof PDFRawStream)) continue;
+      const subtype = stream.dict.lookup(PDFName.of('Subtype'));
+      if(subtype === PDFName.of('Image')) images.push({ ref, stream, name:name.decodeText(), pageIndex, pageSize });
+      else if(subtype === PDFName.of('Form')) visit(stream.dict.lookup(PDFName.of('Resources')), pageIndex, pageSize);
     }
-    const bytes = await out.save(); showProgress(100); downloadPDF(bytes, file.name.replace(/\.pdf$/i,'')+'-no-blanks.pdf');
-    return bytes;
-  }catch(err){handleError(err);throw err}
-}
-
-/* 3. splitPDF(file, pageRange) - pageRange as array of page numbers (1-based) or string like '1-3,5' */
-async function splitPDF(file, pageRange){
-  try{validatePDF(file); await ensurePdfLib(); showProgress(5);
-    const array = await file.arrayBuffer(); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
-    // Parse pageRange
-    let pages=[];
-    if(Array.isArray(pageRange)) pages = pageRange.map(n=>n-1);
-    else{
-      const parts = String(pageRange).split(',');
-      for(const part of parts){
-        if(part.includes('-')){const [a,b]=part.split('-').map(Number); for(let i=a;i<=b;i++) pages.push(i-1);} else pages.push(Number(part)-1);
-      }
+  };
+  pdfDoc.getPages().forEach((page,i)=>visit(page.node.Resources(), i, page.getSize()));
+  return images;
+}
+
+// resolve an image ColorSpace entry to { name, comps } (Indexed also carries base, hival and lookup)
+function resolveColorSpace(context, cs){
+  const { PDFName, PDFArray, PDFRawStream, PDFString, PDFHexString, decodePDFRawStream } = PDFLib;
+  cs = context.lookup(cs);
+  if(cs instanceof PDFName){
+    const n = cs.decodeText();
+    if(n==='DeviceGray' || n==='CalGray') return { name:'DeviceGray', comps:1 };
+    if(n==='DeviceRGB' || n==='CalRGB') return { name:'DeviceRGB', comps:3 };
+    if(n==='DeviceCMYK') return { name:'DeviceCMYK', comps:4 };
+    return null;
+  }
+  if(!(cs instanceof PDFArray) || !cs.size()) return null;
+  const family = context.lookup(cs.get(0)); const type = family instanceof PDFName ? family.decodeText() : '';
+  if(type==='CalGray') return { name:'DeviceGray', comps:1 };
+  if(type==='CalRGB') return { name:'DeviceRGB', comps:3 };
+  if(type==='ICCBased'){
+    const icc = context.lookup(cs.get(1)); const n = icc instanceof PDFRawStream ? dictNumber(icc.dict,'N',3) : 3;
+    return { name: n===1 ? 'DeviceGray' : n===4 ? 'DeviceCMYK' : 'DeviceRGB', comps:n };
+  }
+  if(type==='Indexed'){
+    const base = resolveColorSpace(context, cs.get(1)); if(!base || base.name==='Indexed') return null;
+    const table = context.lookup(cs.get(3)); let lookup = null;
+    if(table instanceof PDFRawStream) lookup = decodePDFRawStream(table).decode();
+    else if(table instanceof PDFString || table instanceof PDFHexString) lookup = table.asBytes();
+    if(!lookup) return null;
+    return { name:'Indexed', comps:1, base, hival:context.lookup(cs.get(2)).asNumber(), lookup };
+  }
+  return null;
+}
+
+// pdf-lib's stream decoders leave PNG (10-15) and TIFF (2) predictors in place, so undo them here
+function undoPredictor(data, dict, colors, bpc, columns){
+  const { PDFName, PDFDict, PDFArray } = PDFLib;
+  let parms = dict.lookup(PDFName.of('DecodeParms'));
+  if(parms instanceof PDFArray) parms = parms.asArray().map(p=>dict.context.lookup(p)).find(p=>p instanceof PDFDict);
+  if(!(parms instanceof PDFDict)) return data;
+  const predictor = dictNumber(parms,'Predictor',1); if(predictor < 2) return data;
+  colors = dictNumber(parms,'Colors',colors); bpc = dictNumber(parms,'BitsPerComponent',bpc); columns = dictNumber(parms,'Columns',columns);
+  const bpp = Math.max(1, Math.ceil(colors*bpc/8)); const rowLen = Math.ceil(colors*bpc*columns/8);
+  if(predictor===2){
+    if(bpc!==8) return data;
+    const out = data.slice();
+    for(let r=0;r*rowLen<out.length;r++) for(let i=r*rowLen+colors;i<(r+1)*rowLen && i<out.length;i++) out[i] = out[i]+out[i-colors];
+    return out;
+  }
+  const rows = Math.floor(data.length/(rowLen+1)); const out = new Uint8Array(rows*rowLen);
+  let prev = new Uint8Array(rowLen);
+  for(let r=0;r<rows;r++){
+    const type = data[r*(rowLen+1)], src = r*(rowLen+1)+1, row = out.subarray(r*rowLen,(r+1)*rowLen);
+    for(let i=0;i<rowLen;i++){
+      const raw = data[src+i], a = i>=bpp ? row[i-bpp] : 0, b = prev[i], c = i>=bpp ? prev[i-bpp] : 0;
+      if(type===1) row[i] = raw+a;
+      else if(type===2) row[i] = raw+b;
+      else if(type===3) row[i] = raw+((a+b)>>1);
+      else if(type===4){ const p=a+b-c, pa=Math.abs(p-a), pb=Math.abs(p-b), pc=Math.abs(p-c); row[i] = raw+(pa<=pb && pa<=pc ? a : pb<=pc ? b : c); }
+      else row[i] = raw;
     }
-    const out = await PDFDocument.create();
-    const available = pdfDoc.getPageCount();
-    pages = pages.filter(p=>p>=0 && p<available);
-    const copied = await out.copyPages(pdfDoc,pages);
-    copied.forEach(p=>out.addPage(p));
-    const bytes = await out.save(); showProgress(100); downloadPDF(bytes, file.name.replace(/\.pdf$/i,'')+`-split.pdf`);
-    return bytes;
-  }catch(err){handleError(err);throw err}
+    prev = row;
+  }
+  return out;
 }
 
-/* 4. rotatePDF(file, rotationAngle) - rotate pages by angle (90,180,270) */
-async function rotatePDF(file, rotationAngle=90){
-  try{validatePDF(file); await ensurePdfLib(); showProgress(5);
-    const array = await file.arrayBuffer(); const { PDFDocument, degrees } = PDFLib; const pdfDoc = await PDFDocument.load(array);
-    const pages = pdfDoc.getPages();
-    pages.forEach(p=>{const r = (p.getRotation?.()?.angle || 0) + rotationAngle; p.setRotation(degrees(r));});
-    const bytes = await pdfDoc.save(); showProgress(100); downloadPDF(bytes, file.name.replace(/\.pdf$/i,'')+`-rotated.pdf`);
-    return bytes;
-  }catch(err){handleError(err);throw err}
+// unpack byte-aligned rows of 1/2/4/8/16-bit samples; values are scaled to 0..255 unless raw (palette indices)
+function readSamples(data, width, height, comps, bpc, raw){
+  const perRow = width*comps, rowBytes = Math.ceil(perRow*bpc/8), max = (1<<bpc)-1, out = new Uint8Array(perRow*height);
+  for(let y=0;y<height;y++){
+    const off = y*rowBytes;
+    for(let i=0;i<perRow;i++){
+      let v;
+      if(bpc===8) v = data[off+i];
+      else if(bpc===16) v = data[off+2*i];
+      else { const bit = i*bpc; v = (data[off+(bit>>3)] >> (8-bpc-(bit&7))) & max; }
+      out[y*perRow+i] = raw || bpc>=8 ? v : Math.round(v*255/max);
+    }
+  }
+  return out;
 }
 
-/* 5. mergePDFs(files) - array of File objects */
-async function mergePDFs(files){
-  try{ if(!files||!files.length) throw new Error('No files'); await ensurePdfLib(); showProgress(5);
-    const { PDFDocument } = PDFLib; const out = await PDFDocument.create();
-    for(let i=0;i<files.length;i++){ const buf = await files[i].arrayBuffer(); const doc = await PDFDocument.load(buf); const copied = await out.copyPages(doc, doc.getPageIndices()); copied.forEach(p=>out.addPage(p)); showProgress(10+80*(i+1)/files.length); }
-    const bytes = await out.save(); showProgress(100); downloadPDF(bytes,'merged.pdf'); return bytes;
-  }catch(err){handleError(err);throw err}
+function writeRGB(px, p, name, src, o){
+  if(name==='DeviceGray'){ px[p]=px[p+1]=px[p+2]=src[o]; }
+  else if(name==='DeviceCMYK'){ const k=255-src[o+3]; px[p]=(255-src[o])*k/255; px[p+1]=(255-src[o+1])*k/255; px[p+2]=(255-src[o+2])*k/255; }
+  else { px[p]=src[o]; px[p+1]=src[o+1]; px[p+2]=src[o+2]; }
 }
 
-/* 6. pdfToWord - robust extraction, layout preservation, OCR fallback and performance
-   options:
-     includeImages (boolean) : if true include rendered page snapshots in the Word doc
-     forceOCR (boolean)     : when true, run OCR on every page (even if text exists)
-   the function automatically detects scanned pages by looking at the length of
-   the extracted text and will perform OCR only when necessary. returning text
-   only avoids the duplicate-text issue seen previously.
-*/
-async function pdfToWord(file, { includeImages = false, forceOCR = false } = {}){
-  try {
-    validatePDF(file);
-    showProgress(5);
+// decode a non-JPEG image XObject to { width, height, data } RGBA pixels, or null if the encoding is unsupported.
+// image masks come back as opaque black on transparent; an SMask (if any) becomes the alpha channel.
+function decodeImagePixels(context, stream, { applySMask = true } = {}){
+  const { PDFName, PDFBool, PDFArray, decodePDFRawStream } = PDFLib;
+  const dict = stream.dict;
+  const width = dictNumber(dict,'Width'), height = dictNumber(dict,'Height');
+  if(!width || !height || imageFilters(dict).some(f=>!DECODABLE_FILTERS.includes(f))) return null;
+  const isMask = dict.lookup(PDFName.of('ImageMask')) === PDFBool.True;
+  const bpc = isMask ? 1 : dictNumber(dict,'BitsPerComponent',8);
+  const cs = isMask ? { name:'DeviceGray', comps:1 } : resolveColorSpace(context, dict.get(PDFName.of('ColorSpace')));
+  if(!cs || ![1,2,4,8,16].includes(bpc)) return null;
+  const data = undoPredictor(decodePDFRawStream(stream).decode(), dict, cs.comps, bpc, width);
+  const samples = readSamples(data, width, height, cs.comps, bpc, cs.name==='Indexed');
+  const decode = dict.lookup(PDFName.of('Decode'));
+  const invert = decode instanceof PDFArray && cs.name!=='Indexed' ? Array.from({length:cs.comps},(_,c)=>decode.lookup(2*c).asNumber() > decode.lookup(2*c+1).asNumber()) : [];
+  const px = new Uint8ClampedArray(width*height*4);
+  for(let i=0;i<width*height;i++){
+    const p = i*4;
+    for(let c=0;c<invert.length;c++) if(invert[c]) samples[i*cs.comps+c] = 255-samples[i*cs.comps+c];
+    if(isMask){ px[p]=px[p+1]=px[p+2]=0; px[p+3] = samples[i] ? 0 : 255; continue; }
+    if(cs.name==='Indexed') writeRGB(px, p, cs.base.name, cs.lookup, Math.min(samples[i], cs.hival)*cs.base.comps);
+    else writeRGB(px, p, cs.name, samples, i*cs.comps);
+    px[p+3] = 255;
+  }
+  if(applySMask && !isMask) applySoftMask(context, dict, { width, height, data:px });
+  return { width, height, data:px };
+}
 
-    // make sure libraries are present
-    await ensurePdfJs();
-    await ensureDocx();
+// copy an image's SMask (if it has one) into the alpha channel of its decoded RGBA pixels
+function applySoftMask(context, dict, { width, height, data }){
+  const smask = context.lookup(dict.get(PDFLib.PDFName.of('SMask')));
+  const m = smask instanceof PDFLib.PDFRawStream ? decodeImagePixels(context, smask, { applySMask:false }) : null;
+  if(m) for(let y=0;y<height;y++) for(let x=0;x<width;x++){
+    const my = Math.floor(y*m.height/height), mx = Math.floor(x*m.width/width);
+    data[(y*width+x)*4+3] = m.data[(my*m.width+mx)*4];
+  }
+}
 
-    const array = await file.arrayBuffer();
-    const loading = await pdfjsLib.getDocument({ data: array }).promise;
-    const numPages = loading.numPages;
+/* ---- content stream helpers (used by removePageNumbers) ---- */
 
-    const pageTexts = [];
-    const pageImages = [];
+const PDF_WHITESPACE = [0,9,10,12,13,32];
+const PDF_DELIMITERS = [40,41,60,62,91,93,123,125,47,37];
 
-    // if we might need OCR create a worker once
-    let ocrWorker = null;
-    if (forceOCR) {
-      await ensureTesseract();
-      ocrWorker = Tesseract.createWorker({ logger: m => console.log(m) });
-      await ocrWorker.load();
-      await ocrWorker.loadLanguage('eng');
-      await ocrWorker.initialize('eng');
+// tokenize a decoded content stream into operators. each entry is { op, operands, start, end } where
+// start/end are byte offsets spanning the operands and operator, so callers can splice ops out.
+// numbers come back as numbers, names as '/Name', strings as { string:bytes }; inline images are one 'BI' op.
+function parseContentStream(bytes){
+  let i = 0; const n = bytes.length; const ops = []; let operands = [], opStart = -1;
+  const isWs = c=>PDF_WHITESPACE.includes(c), isDelim = c=>PDF_DELIMITERS.includes(c);
+  const skipWs = ()=>{ while(i<n){ if(isWs(bytes[i])) i++; else if(bytes[i]===37){ while(i<n && bytes[i]!==10 && bytes[i]!==13) i++; } else break; } };
+  const readValue = ()=>{
+    const c = bytes[i];
+    if(c===40){ // literal string, balanced parens with backslash escapes
+      let depth = 0; const start = i;
+      do { if(bytes[i]===92) i++; else if(bytes[i]===40) depth++; else if(bytes[i]===41) depth--; i++; } while(i<n && depth>0);
+      return { string: bytes.subarray(start+1, i-1) };
     }
+    if(c===60 && bytes[i+1]===60){ i+=2; const dict = []; skipWs(); while(i<n && !(bytes[i]===62 && bytes[i+1]===62)){ dict.push(readValue()); skipWs(); } i+=2; return { dict }; }
+    if(c===60){ const start = ++i; while(i<n && bytes[i]!==62) i++; i++; return { hex: bytes.subarray(start, i-1) }; }
+    if(c===91){ i++; const arr = []; skipWs(); while(i<n && bytes[i]!==93){ arr.push(readValue()); skipWs(); } i++; return arr; }
+    const start = i; if(c===47) i++;
+    while(i<n && !isWs(bytes[i]) && !isDelim(bytes[i])) i++;
+    if(i===start) i++; // stray delimiter
+    const word = String.fromCharCode(...bytes.subarray(start, i));
+    if(c===47) return word;
+    if(/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return Number(word);
+    return { keyword: word };
+  };
+  while(true){
+    skipWs(); if(i>=n) break;
+    const start = i; const v = readValue();
+    if(opStart<0) opStart = start;
+    if(v && v.keyword && !['true','false','null'].includes(v.keyword)){
+      if(v.keyword==='BI'){ // inline image: skip the binary payload up to a delimited EI
+        while(i<n && !(bytes[i]===73 && bytes[i+1]===68 && isWs(bytes[i+2]))) i++;
+        i += 3;
+        while(i<n && !(isWs(bytes[i-1]) && bytes[i]===69 && bytes[i+1]===73 && (i+2>=n || isWs(bytes[i+2])))) i++;
+        i += 2;
+      }
+      ops.push({ op:v.keyword, operands, start:opStart, end:i });
+      operands = []; opStart = -1;
+    } else operands.push(v);
+  }
+  return ops;
+}
 
-    for (let p = 1; p <= numPages; p++) {
-      const page = await loading.getPage(p);
+// write an operand from parseContentStream back out in content stream syntax, as a string of byte values
+function contentValueText(v){
+  if(typeof v==='number') return String(v);
+  if(typeof v==='string') return v;
+  if(Array.isArray(v)) return '['+v.map(contentValueText).join(' ')+']';
+  if(v.string) return '('+Array.from(v.string, b=>String.fromCharCode(b)).join('')+')';
+  if(v.hex) return '<'+Array.from(v.hex, b=>String.fromCharCode(b)).join('')+'>';
+  if(v.dict) return '<<'+v.dict.map(contentValueText).join(' ')+'>>';
+  return v.keyword;
+}
 
-      // extract structured text (answers line/paragraph boundaries)
-      let lines = await extractLinesFromPage(page);
-      let text = lines.join('\n');
-
-      // determine if OCR is required (scanned page has almost no text)
-      if (forceOCR || text.trim().length < 20) {
-        // render a low‑resolution copy for the OCR engine
-        const viewport = page.getViewport({ scale: 1 });
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = Math.round(viewport.width);
-        canvas.height = Math.round(viewport.height);
-        await page.render({ canvasContext: ctx, viewport }).promise;
-
-        if (!ocrWorker) {
-          await ensureTesseract();
-          ocrWorker = Tesseract.createWorker({ logger: m => console.log(m) });
-          await ocrWorker.load();
-          await ocrWorker.loadLanguage('eng');
-          await ocrWorker.initialize('eng');
-        }
-        const { data: { text: ocrText = '' } } = await ocrWorker.recognize(canvas);
-        text = ocrText || text;
+function multiplyMatrix(m1, m2){
+  return [ m1[0]*m2[0]+m1[1]*m2[2], m1[0]*m2[1]+m1[1]*m2[3], m1[2]*m2[0]+m1[3]*m2[2], m1[2]*m2[1]+m1[3]*m2[3],
+    m1[4]*m2[0]+m1[5]*m2[2]+m2[4], m1[4]*m2[1]+m1[5]*m2[3]+m2[5] ];
+}
+
+function getPageContentBytes(pdfDoc, page){
+  const { PDFName, PDFArray, PDFRawStream, decodePDFRawStream } = PDFLib;
+  const contents = page.node.lookup(PDFName.of('Contents'));
+  const streams = contents instanceof PDFArray ? contents.asArray().map(r=>pdfDoc.context.lookup(r)) : [contents];
+  const parts = streams.filter(s=>s instanceof PDFRawStream).map(s=>decodePDFRawStream(s).decode());
+  const out = new Uint8Array(parts.reduce((n,p)=>n+p.length+1, 0)); let off = 0;
+  parts.forEach(p=>{ out.set(p, off); off += p.length; out[off++] = 10; });
+  return out;
+}
+
+function setPageContentBytes(pdfDoc, page, bytes){
+  page.node.set(PDFLib.PDFName.of('Contents'), pdfDoc.context.register(pdfDoc.context.flateStream(bytes)));
+}
 
-        // if user still wants the image snapshot for layout reasons,
-        // store it (will be added later); otherwise skip to avoid duplicates.
-        if (includeImages) {
-          pageImages[p - 1] = canvas.toDataURL('image/png');
+// remove text-showing operators whose baseline midpoint falls inside one of the given user-space boxes
+// ({ x0, y0, x1, y1 }). only the page's own content stream is edited; text inside Form XObjects
+// is not reached. the text position is advanced after every operator using the fonts' widths, and a removed
+// operator leaves a TJ offset of the same width, so later text keeps its place and is hit-tested where it is
+// drawn. returns the set of box indices that had at least one operator removed.
+function stripTextInBoxes(pdfDoc, page, boxes){
+  const { PDFName, PDFDict } = PDFLib;
+  const resources = page.node.Resources(), fonts = resources && resources.lookup(PDFName.of('Font'));
+  const bytes = getPageContentBytes(pdfDoc, page);
+  const ops = parseContentStream(bytes);
+  const hit = new Set(); const cuts = []; const fontCache = new Map();
+  const identity = [1,0,0,1,0,0]; const stack = [];
+  let gs = { ctm:identity, font:null, size:0, tc:0, tw:0, th:1, leading:0 }, tm = identity, tlm = identity;
+  const nextLine = ()=>{ tlm = multiplyMatrix([1,0,0,1,0,-gs.leading], tlm); tm = tlm; };
+  for(const { op, operands:a, start, end } of ops){
+    switch(op){
+      case 'q': stack.push(gs); gs = { ...gs }; break;
+      case 'Q': gs = stack.pop() || gs; break;
+      case 'cm': if(a.length===6) gs.ctm = multiplyMatrix(a, gs.ctm); break;
+      case 'BT': tm = tlm = identity; break;
+      case 'Tf': {
+        const name = String(a[0]||'').slice(1);
+        if(!fontCache.has(name)) fontCache.set(name, redactionFont(pdfDoc.context, fonts instanceof PDFDict ? fonts.lookup(PDFName.of(name)) : null));
+        gs.font = fontCache.get(name); gs.size = a[1] || 0; break;
+      }
+      case 'Tc': gs.tc = a[0]; break;
+      case 'Tw': gs.tw = a[0]; break;
+      case 'Tz': gs.th = a[0]/100; break;
+      case 'TL': gs.leading = a[0]; break;
+      case 'Td': tlm = multiplyMatrix([1,0,0,1,a[0],a[1]], tlm); tm = tlm; break;
+      case 'TD': gs.leading = -a[1]; tlm = multiplyMatrix([1,0,0,1,a[0],a[1]], tlm); tm = tlm; break;
+      case 'Tm': if(a.length===6) tm = tlm = a; break;
+      case 'T*': nextLine(); break;
+      case "'": case '"': case 'Tj': case 'TJ': {
+        if(op==='"'){ gs.tw = a[0]; gs.tc = a[1]; }
+        if(op==="'" || op==='"') nextLine();
+        const text = op==='TJ' ? (Array.isArray(a[0]) ? a[0] : []) : [a[a.length-1]].filter(Boolean);
+        if(!gs.font) gs.font = redactionFont(pdfDoc.context, null);
+        const tx = text.reduce((sum, el)=>sum + (typeof el==='number' ? -el/1000*gs.size*gs.th : stringAdvance(gs, contentStringBytes(el))), 0);
+        const m = multiplyMatrix(multiplyMatrix([1,0,0,1,tx/2,0], tm), gs.ctm); const x = m[4], y = m[5];
+        const idx = boxes.findIndex(b=>x>=b.x0 && x<=b.x1 && y>=b.y0 && y<=b.y1);
+        if(idx>=0){
+          hit.add(idx);
+          // keep the line advance (and spacing for ") that ' and " imply, and the width of the removed text
+          const prefix = op==="'" ? 'T* ' : op==='"' ? `${a[0]} Tw ${a[1]} Tc T* ` : '';
+          cuts.push({ start, end, keep: prefix + (gs.size && gs.th ? `[${formatContentNumber(-tx/(gs.size*gs.th)*1000)}] TJ` : '') });
         }
-      } else if (includeImages) {
-        // user explicitly requested images for all pages
-        const viewport = page.getViewport({ scale: 1 });
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = Math.round(viewport.width);
-        canvas.height = Math.round(viewport.height);
-        await page.render({ canvasContext: ctx, viewport }).promise;
-        pageImages[p - 1] = canvas.toDataURL('image/png');
+        tm = multiplyMatrix([1,0,0,1,tx,0], tm);
+        break;
       }
-
-      pageTexts.push(text);
-      showProgress(5 + 80 * p / numPages);
     }
+  }
+  if(!cuts.length) return hit;
+  const enc = new TextEncoder(); const parts = []; let pos = 0;
+  cuts.forEach(c=>{ parts.push(bytes.subarray(pos, c.start), enc.encode(c.keep)); pos = c.end; });
+  parts.push(bytes.subarray(pos));
+  const out = new Uint8Array(parts.reduce((n,p)=>n+p.length, 0)); let off = 0;
+  parts.forEach(p=>{ out.set(p, off); off += p.length; });
+  setPageContentBytes(pdfDoc, page, out);
+  return hit;
+}
+
+/* ---- redaction helpers (used by redactPDF) ---- */
+
+// common patterns offered by the redaction tool's search box
+const REDACTION_PATTERNS = {
+  email: { label:'Email addresses', pattern:'[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}' },
+  // an area code in brackets or followed by a separator, then 3-4 and 4 digits ('(555) 123-4567', '+44 20 7946 0958'),
+  // or an unformatted international number; dates and plain digit runs don't match
+  phone: { label:'Phone numbers', pattern:'(?<![\\w+])(?:(?:\\+\\d{1,3}[ .-]?)?(?:\\(\\d{1,4}\\)[ .-]?|\\d{2,4}[ .-])\\d{3,4}[ .-]\\d{4}|\\+\\d{8,14})(?!\\w)' },
+  ssn: { label:'US Social Security numbers', pattern:'\\b\\d{3}-\\d{2}-\\d{4}\\b' },
+  card: { label:'Card numbers', pattern:'\\b(?:\\d[ -]?){12,18}\\d\\b' },
+  iban: { label:'IBANs', pattern:'\\b[A-Z]{2}\\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\\b' }
+};
+
+// search terms (strings or RegExps) to global RegExps; plain strings are matched literally unless regex is set
+function redactionRegExps(search, { regex=false, caseSensitive=false } = {}){
+  const terms = (Array.isArray(search) ? search : [search]).filter(t=>t instanceof RegExp || String(t??'').trim());
+  return terms.map(t=>{
+    if(t instanceof RegExp) return new RegExp(t.source, t.flags.includes('g') ? t.flags : t.flags+'g');
+    try{ return new RegExp(regex ? String(t) : String(t).trim().replace(/[.*+?^${}()|[\]\\]/g,'\\$&'), caseSensitive ? 'g' : 'gi'); }
+    catch(e){ throw new Error(`Invalid search pattern "${t}": ${e.message}`); }
+  });
+}
+
+// where each character of a text item starts (plus the end), sharing the item's width out in proportion to
+// Helvetica's glyph widths; much closer than an even split for proportional fonts
+function charOffsets(str, width){
+  const metrics = standardWidths('Helvetica'); const w = Array.from(str, (_,i)=>metrics[str.charCodeAt(i)] || 556);
+  const total = w.reduce((a,b)=>a+b, 0) || 1; const offsets = [0];
+  w.forEach(v=>offsets.push(offsets[offsets.length-1] + v/total*width));
+  return offsets;
+}
 
-    if (ocrWorker) {
-      await ocrWorker.terminate();
+// every match of the regexps inside one extractTextSegments segment, with a user-space box estimated
+// from the character offsets of the text items it spans
+function segmentMatches(seg, regexps){
+  const found = [];
+  regexps.forEach(re=>{
+    re.lastIndex = 0; let m;
+    while((m = re.exec(seg.text))){
+      if(!m[0].length){ re.lastIndex++; continue; }
+      const start = m.index, end = start + m[0].length; let box = null;
+      seg.items.forEach(it=>{
+        const from = Math.max(start, it.offset), to = Math.min(end, it.offset + it.str.length);
+        if(from >= to) return;
+        const offsets = it.offsets || (it.offsets = charOffsets(it.str, it.w));
+        const b = { x0: it.x + offsets[from-it.offset], x1: it.x + offsets[to-it.offset], y0: it.y - it.h*0.25, y1: it.y + it.h };
+        box = box ? { x0:Math.min(box.x0,b.x0), y0:Math.min(box.y0,b.y0), x1:Math.max(box.x1,b.x1), y1:Math.max(box.y1,b.y1) } : b;
+      });
+      if(box) found.push({ text:m[0], box });
     }
+  });
+  return found;
+}
 
-    showProgress(90);
+// raw bytes of a string operand from parseContentStream (literal strings still carry their escapes)
+function contentStringBytes(operand){
+  if(operand.hex){
+    const h = String.fromCharCode(...operand.hex).replace(/[^0-9a-f]/gi,'');
+    return Uint8Array.from({ length:Math.ceil(h.length/2) }, (_,i)=>parseInt((h.substr(2*i,2)+'0').slice(0,2), 16));
+  }
+  const s = operand.string, out = [];
+  for(let i=0;i<s.length;i++){
+    if(s[i]!==92){ out.push(s[i]); continue; }
+    const c = s[++i], esc = { 110:10, 114:13, 116:9, 98:8, 102:12 }[c];
+    if(esc!==undefined) out.push(esc);
+    else if(c>=48 && c<=55){ let v = c-48; for(let k=1;k<3 && s[i+1]>=48 && s[i+1]<=55;k++) v = v*8 + s[++i]-48; out.push(v&255); }
+    else if(c===13){ if(s[i+1]===10) i++; }
+    else if(c!==10 && c!==undefined) out.push(c);
+  }
+  return Uint8Array.from(out);
+}
 
-    const blob = await createDocxFromPages(pageTexts, pageImages);
+// glyph widths for the standard 14 fonts, which may be used without a Widths array
+const standardFontWidths = {};
+function standardWidths(baseFont){
+  const { StandardFontEmbedder, StandardFonts } = PDFLib;
+  const name = Object.values(StandardFonts).includes(baseFont) ? baseFont : 'Helvetica';
+  if(!standardFontWidths[name]){
+    const embedder = StandardFontEmbedder.for(name); const widths = {};
+    Object.values(embedder.encoding.unicodeMappings).forEach(([code, glyph])=>{ widths[code] = embedder.font.getWidthOfGlyph(glyph) || 0; });
+    standardFontWidths[name] = widths;
+  }
+  return standardFontWidths[name];
+}
 
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = file.name.replace(/\.pdf$/i, '') + '.docx';
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    setTimeout(() => URL.revokeObjectURL(url), 5000);
-    showProgress(100);
-    return blob;
-  } catch (err) {
-    handleError(err);
-    throw err;
+// { bytes, known, width(code) } for a font dictionary: bytes per character code, whether the codes can be
+// split into glyphs reliably, and each code's advance in text space units (1 = the font size)
+function redactionFont(context, font){
+  const { PDFName, PDFArray, PDFDict, PDFNumber } = PDFLib;
+  const num = v=>{ v = context.lookup(v); return v instanceof PDFNumber ? v.asNumber() : null; };
+  if(!(font instanceof PDFDict)) return { bytes:1, known:false, width:()=>0.5 };
+  const name = k=>decodePdfValue(font.get(PDFName.of(k))) || '';
+  if(name('Subtype')==='Type0'){
+    const descendants = font.lookup(PDFName.of('DescendantFonts'));
+    const cid = descendants instanceof PDFArray ? context.lookup(descendants.get(0)) : null;
+    const widths = new Map(); let dw = 1000;
+    if(cid instanceof PDFDict){
+      dw = num(cid.get(PDFName.of('DW'))) ?? 1000;
+      const w = cid.lookup(PDFName.of('W'));
+      const a = w instanceof PDFArray ? w.asArray().map(x=>context.lookup(x)) : [];
+      for(let i=0;i<a.length;){
+        const first = a[i] instanceof PDFNumber ? a[i].asNumber() : 0;
+        if(a[i+1] instanceof PDFArray){ a[i+1].asArray().forEach((x,j)=>widths.set(first+j, num(x) ?? dw)); i += 2; }
+        else { const last = num(a[i+1]) ?? first, v = num(a[i+2]) ?? dw; for(let c=first;c<=last && c-first<65536;c++) widths.set(c, v); i += 3; }
+      }
+    }
+    // only the Identity CMaps have fixed two-byte codes; other CMaps mix code lengths
+    return { bytes:2, known: ['Identity-H','Identity-V'].includes(name('Encoding')), width:c=>(widths.get(c) ?? dw)/1000 };
   }
+  const matrix = font.lookup(PDFName.of('FontMatrix'));
+  const scale = matrix instanceof PDFArray ? (num(matrix.get(0)) ?? 0.001) : 0.001;
+  const widths = font.lookup(PDFName.of('Widths')), first = num(font.get(PDFName.of('FirstChar'))) ?? 0;
+  const descriptor = font.lookup(PDFName.of('FontDescriptor'));
+  const missing = descriptor instanceof PDFDict ? num(descriptor.get(PDFName.of('MissingWidth'))) ?? 0 : 0;
+  if(widths instanceof PDFArray) return { bytes:1, known:true, width:c=>(c>=first && c-first<widths.size() ? num(widths.get(c-first)) ?? missing : missing)*scale };
+  const std = standardWidths(name('BaseFont').replace(/^[A-Z]{6}\+/,''));
+  return { bytes:1, known:true, width:c=>(std[c] ?? missing)*0.001 };
+}
+
+// horizontal advance of one character code in text space (before the text matrix), given the text state
+// { font (a redactionFont), size, tc, tw, th }; word spacing only applies to the single-byte code 32
+function glyphAdvance(gs, code){
+  return (gs.font.width(code)*gs.size + gs.tc + (gs.font.bytes===1 && code===32 ? gs.tw : 0)) * gs.th;
 }
 
-/// previous manual ZIP-based docx builder is no longer used; replaced by docx library
-// (we leave the code here for reference but it is no longer reachable).
+// the advance of a whole string operand's codes
+function stringAdvance(gs, codes){
+  let tx = 0;
+  for(let i=0;i+gs.font.bytes<=codes.length;i+=gs.font.bytes) tx += glyphAdvance(gs, gs.font.bytes===2 ? (codes[i]<<8)|codes[i+1] : codes[i]);
+  return tx;
+}
 
-/*
-async function createProperDocx(pages, images){
-  ... (code removed for brevity) ...
+// bounding box of the rectangle (x0,y0)-(x1,y1) after transforming it by matrix m
+function transformBox(m, x0, y0, x1, y1){
+  const pts = [[x0,y0],[x1,y0],[x0,y1],[x1,y1]].map(([x,y])=>[m[0]*x+m[2]*y+m[4], m[1]*x+m[3]*y+m[5]]);
+  const xs = pts.map(p=>p[0]), ys = pts.map(p=>p[1]);
+  return { x0:Math.min(...xs), y0:Math.min(...ys), x1:Math.max(...xs), y1:Math.max(...ys) };
 }
-function escapeXmlForDocx(str){ ... }
-*/
 
-// helper - assemble a .docx using the docx library (loaded via ensureDocx)
-async function createDocxFromPages(pages, images){
-  const { Document, Packer, Paragraph, Media } = window.docx;
-  const doc = new Document();
-
-  pages.forEach((page, idx) => {
-    const lines = page.split('\n');
-    lines.forEach(line => {
-      const bulletMatch = line.match(/^([\u2022\-\*]|\d+\.)\s+/);
-      if (bulletMatch) {
-        doc.addParagraph(new Paragraph({ text: line.replace(bulletMatch[0], ''), bullet: { level: 0 } }));
-      } else {
-        doc.addParagraph(new Paragraph(line));
+const boxesOverlap = (a, b)=>a.x0 < b.x1 && a.x1 > b.x0 && a.y0 < b.y1 && a.y1 > b.y0;
+const formatContentNumber = n=>String(Math.round(n*1000)/1000);
+
+// rewrite a page's content stream so no glyph whose centre lies in one of the boxes is drawn any more.
+// glyphs are replaced by TJ kerning of the same width, so the text around them doesn't move; text in fonts
+// whose codes can't be split into glyphs loses the whole operator, and inline images touching a box are dropped.
+// marked content around anything redacted loses its /ActualText, /Alt and /E, which would still carry the text.
+// returns { glyphs, inlineImages, images:[{ name, placements }], forms } for the caller to finish off:
+// image XObjects touching a box still need their pixels blanked, and Form XObjects are only counted.
+function redactContentStream(pdfDoc, page, boxes){
+  const { PDFName, PDFDict, PDFRawStream } = PDFLib;
+  const context = pdfDoc.context; const resources = page.node.Resources();
+  const fonts = resources && resources.lookup(PDFName.of('Font')), xobjects = resources && resources.lookup(PDFName.of('XObject'));
+  const bytes = getPageContentBytes(pdfDoc, page); const ops = parseContentStream(bytes);
+  const result = { glyphs:0, inlineImages:0, images:[], forms:0 }; const cuts = []; const fontCache = new Map();
+  const identity = [1,0,0,1,0,0]; const stack = []; const marked = [], redactedMarks = new Set();
+  const markRedacted = ()=>marked.forEach(m=>m && redactedMarks.add(m));
+  let gs = { ctm:identity, font:null, size:0, tc:0, tw:0, th:1, rise:0, leading:0 }, tm = identity, tlm = identity;
+  const inside = (x, y)=>boxes.some(b=>x>=b.x0 && x<=b.x1 && y>=b.y0 && y<=b.y1);
+  const nextLine = ()=>{ tlm = multiplyMatrix([1,0,0,1,0,-gs.leading], tlm); tm = tlm; };
+  const advance = tx=>{ tm = multiplyMatrix([1,0,0,1,tx,0], tm); };
+  // walk the glyphs of a Tj/TJ operand list, returning the rewritten TJ array and how many glyphs were dropped
+  const showText = items=>{
+    const font = gs.font, out = []; let removed = 0;
+    items.forEach(el=>{
+      if(typeof el==='number'){ out.push(formatContentNumber(el)); advance(-el/1000*gs.size*gs.th); return; }
+      const codes = contentStringBytes(el); let run = [];
+      const flush = ()=>{ if(run.length) out.push('<'+bytesToHex(run)+'>'); run = []; };
+      for(let i=0;i+font.bytes<=codes.length;i+=font.bytes){
+        const code = font.bytes===2 ? (codes[i]<<8)|codes[i+1] : codes[i];
+        const w0 = font.width(code), tx = glyphAdvance(gs, code);
+        const trm = multiplyMatrix(multiplyMatrix([gs.size*gs.th,0,0,gs.size,0,gs.rise], tm), gs.ctm);
+        if(inside(trm[0]*w0/2 + trm[2]*0.35 + trm[4], trm[1]*w0/2 + trm[3]*0.35 + trm[5])){
+          flush(); removed++;
+          out.push(formatContentNumber(gs.size && gs.th ? -tx/(gs.size*gs.th)*1000 : 0));
+        } else run.push(...codes.subarray(i, i+font.bytes));
+        advance(tx);
       }
+      flush();
     });
-    if (images && images[idx]) {
-      const blob = dataURItoBlob(images[idx]);
-      const image = Media.addImage(doc, blob);
-      doc.addParagraph(new Paragraph(image));
+    return { out, removed };
+  };
+  for(const { op, operands:a, start, end } of ops){
+    switch(op){
+      case 'q': stack.push(gs); gs = { ...gs }; break;
+      case 'Q': gs = stack.pop() || gs; break;
+      case 'cm': if(a.length===6) gs.ctm = multiplyMatrix(a, gs.ctm); break;
+      case 'BMC': marked.push(null); break;
+      case 'BDC': marked.push({ start, end, operands:a }); break;
+      case 'EMC': marked.pop(); break;
+      case 'BT': tm = tlm = identity; break;
+      case 'Tf': {
+        const name = String(a[0]||'').slice(1);
+        if(!fontCache.has(name)) fontCache.set(name, redactionFont(context, fonts instanceof PDFDict ? fonts.lookup(PDFName.of(name)) : null));
+        gs.font = fontCache.get(name); gs.size = a[1] || 0; break;
+      }
+      case 'Tc': gs.tc = a[0]; break;
+      case 'Tw': gs.tw = a[0]; break;
+      case 'Tz': gs.th = a[0]/100; break;
+      case 'TL': gs.leading = a[0]; break;
+      case 'Ts': gs.rise = a[0]; break;
+      case 'Td': tlm = multiplyMatrix([1,0,0,1,a[0],a[1]], tlm); tm = tlm; break;
+      case 'TD': gs.leading = -a[1]; tlm = multiplyMatrix([1,0,0,1,a[0],a[1]], tlm); tm = tlm; break;
+      case 'Tm': if(a.length===6) tm = tlm = a; break;
+      case 'T*': nextLine(); break;
+      case "'": case '"': case 'Tj': case 'TJ': {
+        if(op==='"'){ gs.tw = a[0]; gs.tc = a[1]; }
+        if(op==="'" || op==='"') nextLine();
+        const prefix = op==="'" ? 'T* ' : op==='"' ? `${a[0]} Tw ${a[1]} Tc T* ` : '';
+        const text = op==='TJ' ? (Array.isArray(a[0]) ? a[0] : []) : [a[a.length-1]].filter(Boolean);
+        if(!gs.font) gs.font = redactionFont(context, null);
+        if(!gs.font.known){
+          const origin = multiplyMatrix(tm, gs.ctm);
+          if(inside(origin[4], origin[5])){ result.glyphs++; cuts.push({ start, end, keep:prefix }); markRedacted(); }
+          break;
+        }
+        const { out, removed } = showText(text);
+        if(removed){ result.glyphs += removed; cuts.push({ start, end, keep:`${prefix}[${out.join(' ')}] TJ` }); markRedacted(); }
+        break;
+      }
+      case 'BI': if(boxes.some(b=>boxesOverlap(transformBox(gs.ctm,0,0,1,1), b))){ result.inlineImages++; cuts.push({ start, end, keep:'' }); markRedacted(); } break;
+      case 'Do': {
+        const name = String(a[0]||'').slice(1);
+        const xobject = xobjects instanceof PDFDict ? xobjects.lookup(PDFName.of(name)) : null;
+        if(!(xobject instanceof PDFRawStream)) break;
+        const subtype = decodePdfValue(xobject.dict.get(PDFName.of('Subtype')));
+        if(subtype==='Image' && boxes.some(b=>boxesOverlap(transformBox(gs.ctm,0,0,1,1), b))){
+          let hit = result.images.find(i=>i.name===name);
+          if(!hit){ hit = { name, placements:[] }; result.images.push(hit); }
+          hit.placements.push(gs.ctm); markRedacted();
+        } else if(subtype==='Form'){
+          const bbox = xobject.dict.lookup(PDFName.of('BBox')), matrix = xobject.dict.lookup(PDFName.of('Matrix'));
+          const nums = arr=>arr ? arr.asArray().map(x=>context.lookup(x).asNumber()) : null;
+          const bb = nums(bbox) || [0,0,0,0], fm = nums(matrix) || identity;
+          if(boxes.some(b=>boxesOverlap(transformBox(multiplyMatrix(fm, gs.ctm), ...bb), b))) result.forms++;
+        }
+        break;
+      }
     }
-    if (idx < pages.length - 1) {
-      doc.addParagraph(new Paragraph({ children: [], pageBreak: true }));
+  }
+  // properties given inline are rewritten in the stream; named ones live in the page's /Properties resources
+  const spoken = ['/ActualText','/Alt','/E'];
+  const properties = resources && resources.lookup(PDFName.of('Properties'));
+  redactedMarks.forEach(({ start, end, operands:[tag, props] })=>{
+    if(props && props.dict){
+      const kept = []; let dropped = false;
+      for(let i=0;i<props.dict.length;i+=2){ if(spoken.includes(props.dict[i])) dropped = true; else kept.push(props.dict[i], props.dict[i+1]); }
+      if(dropped) cuts.push({ start, end, keep:`${tag} ${contentValueText({ dict:kept })} BDC` });
+    } else if(typeof props==='string' && properties instanceof PDFDict){
+      const dict = properties.lookup(PDFName.of(props.slice(1)));
+      if(dict instanceof PDFDict) spoken.forEach(k=>dict.delete(PDFName.of(k.slice(1))));
     }
   });
+  if(cuts.length){
+    const parts = []; let pos = 0;
+    cuts.sort((x, y)=>x.start - y.start).forEach(c=>{ parts.push(bytes.subarray(pos, c.start), Uint8Array.from(c.keep, ch=>ch.charCodeAt(0))); pos = c.end; });
+    parts.push(bytes.subarray(pos));
+    setPageContentBytes(pdfDoc, page, concatBytes(...parts));
+  }
+  return result;
+}
 
-  const blob = await Packer.toBlob(doc);
-  return blob;
+// decoded RGBA pixels of an image XObject (JPEGs through the browser's decoder), or null if unsupported
+async function redactionPixels(context, stream){
+  const { PDFName } = PDFLib; const dict = stream.dict; const filters = imageFilters(dict);
+  if(!(filters.length===1 && filters[0]==='DCTDecode')) return decodeImagePixels(context, stream);
+  const cs = resolveColorSpace(context, dict.get(PDFName.of('ColorSpace')));
+  if(!cs || cs.comps===4 || dict.has(PDFName.of('Decode'))) return null;
+  const bitmap = await createImageBitmap(new Blob([stream.contents],{type:'image/jpeg'}));
+  const canvas = createCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d'); ctx.drawImage(bitmap, 0, 0); bitmap.close();
+  const pixels = { width:canvas.width, height:canvas.height, data:ctx.getImageData(0, 0, canvas.width, canvas.height).data };
+  applySoftMask(context, dict, pixels);
+  return pixels;
 }
 
-// group individual text items into approximate lines based on their vertical
-// position. this gives us something resembling the original layout and
-// drastically reduces jumbled words/duplicate sequences.
-async function extractLinesFromPage(page){
-  const content = await page.getTextContent({disableCombineTextItems: false});
-  const items = content.items.map(i=>({
-    str: i.str,
-    x: i.transform[4],
-    y: i.transform[5]
-  }));
-  const tolerance = 5; // points
-  const lines = [];
-  items.forEach(it=>{
-    let found = lines.find(l=>Math.abs(l.y - it.y) < tolerance);
-    if(found){
-      found.items.push(it);
-    } else {
-      lines.push({ y: it.y, items:[it] });
-    }
+// paint the parts of an image that land inside the boxes (for each place it is drawn) opaque black
+function blackenImagePixels({ width, height, data }, placements, boxes){
+  let changed = 0;
+  placements.forEach(m=>{
+    const det = m[0]*m[3] - m[1]*m[2]; if(!det) return;
+    const inv = [m[3]/det, -m[1]/det, -m[2]/det, m[0]/det, (m[2]*m[5]-m[3]*m[4])/det, (m[1]*m[4]-m[0]*m[5])/det];
+    boxes.forEach(b=>{
+      const u = transformBox(inv, b.x0, b.y0, b.x1, b.y1);
+      const x0 = Math.max(0, Math.floor(u.x0*width)), x1 = Math.min(width, Math.ceil(u.x1*width));
+      const y0 = Math.max(0, Math.floor((1-u.y1)*height)), y1 = Math.min(height, Math.ceil((1-u.y0)*height));
+      for(let y=y0;y<y1;y++) for(let x=x0;x<x1;x++){ const p = (y*width+x)*4; data[p] = data[p+1] = data[p+2] = 0; data[p+3] = 255; changed++; }
+    });
   });
-  lines.sort((a,b)=>b.y - a.y);
-  return lines.map(l=> l.items.sort((a,b)=>a.x - b.x).map(i=>i.str).join(' '));
+  return changed;
 }
 
-// load tesseract.js only when needed; this is used for OCR on scanned pages
-async function ensureTesseract(){
-  if(window.Tesseract) return;
-  await new Promise((res,rej)=>{
-    const s=document.createElement('script');
-    s.src='https://cdn.jsdelivr.net/npm/tesseract.js@4.1.1/dist/tesseract.min.js';
-    s.onload=res; s.onerror=rej;
-    document.head.appendChild(s);
+// register RGBA pixels as a new Flate image XObject (with an SMask when any pixel is transparent)
+function registerPixelImage(context, { width, height, data }){
+  const rgb = new Uint8Array(width*height*3), alpha = new Uint8Array(width*height); let opaque = true;
+  for(let i=0;i<width*height;i++){ rgb[3*i] = data[4*i]; rgb[3*i+1] = data[4*i+1]; rgb[3*i+2] = data[4*i+2]; alpha[i] = data[4*i+3]; if(alpha[i]<255) opaque = false; }
+  const image = context.flateStream(rgb, { Type:'XObject', Subtype:'Image', Width:width, Height:height, ColorSpace:'DeviceRGB', BitsPerComponent:8 });
+  if(!opaque) image.dict.set(PDFLib.PDFName.of('SMask'), context.register(context.flateStream(alpha, { Type:'XObject', Subtype:'Image', Width:width, Height:height, ColorSpace:'DeviceGray', BitsPerComponent:8 })));
+  return context.register(image);
+}
+
+// blank the redacted parts of the images redactContentStream found. the page gets its own copy of its
+// Resources pointing at the new images, so other pages that share an image keep the original.
+// returns the names of images that couldn't be decoded (the page then needs rasterising)
+async function redactPageImages(pdfDoc, page, images, boxes){
+  const { PDFName, PDFDict } = PDFLib; const context = pdfDoc.context; const failed = [];
+  if(!images.length) return failed;
+  const resources = page.node.Resources().clone(context); const xobjects = resources.lookup(PDFName.of('XObject')).clone(context);
+  for(const { name, placements } of images){
+    const stream = xobjects.lookup(PDFName.of(name)); let pixels = null;
+    try{ pixels = await redactionPixels(context, stream); }catch(e){ console.warn('Could not decode image', name, e); }
+    if(!pixels){ failed.push(name); continue; }
+    if(blackenImagePixels(pixels, placements, boxes)) xobjects.set(PDFName.of(name), registerPixelImage(context, pixels));
+  }
+  resources.set(PDFName.of('XObject'), xobjects);
+  if(resources instanceof PDFDict) page.node.set(PDFName.of('Resources'), resources);
+  return failed;
+}
+
+// drop annotations (comments, links, form widgets) whose rectangle touches a box; widgets lose their value too
+function removeAnnotationsInBoxes(pdfDoc, page, boxes){
+  const { PDFName, PDFArray, PDFDict } = PDFLib; const context = pdfDoc.context;
+  const annots = context.lookup(page.node.get(PDFName.of('Annots')));
+  if(!(annots instanceof PDFArray)) return 0;
+  const keep = annots.asArray().filter(ref=>{
+    const annot = context.lookup(ref), rect = annot instanceof PDFDict ? annot.lookup(PDFName.of('Rect')) : null;
+    if(!(rect instanceof PDFArray) || rect.size()!==4) return true;
+    const [x0, y0, x1, y1] = rect.asArray().map(x=>context.lookup(x).asNumber());
+    if(!boxes.some(b=>boxesOverlap({ x0:Math.min(x0,x1), y0:Math.min(y0,y1), x1:Math.max(x0,x1), y1:Math.max(y0,y1) }, b))) return true;
+    [annot, annot.lookup(PDFName.of('Parent'))].forEach(d=>{ if(d instanceof PDFDict){ d.delete(PDFName.of('V')); d.delete(PDFName.of('AP')); } });
+    return false;
   });
+  if(keep.length) page.node.set(PDFName.of('Annots'), context.obj(keep)); else page.node.delete(PDFName.of('Annots'));
+  return annots.size() - keep.length;
 }
 
-/* 7. wordToPDF - simple demo: wrap text into a PDF */
-async function wordToPDF(file){
-  try{ if(!file) throw new Error('No file'); await ensurePdfLib(); showProgress(5);
-    const text = await file.text(); const { PDFDocument, rgb, StandardFonts } = PDFLib; const pdfDoc = await PDFDocument.create(); const page = pdfDoc.addPage(); const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const size = 12; const margin=40; const rawLines = text.split(/\n/).slice(0,5000);
-    // Helper to sanitize lines to WinAnsi-compatible characters (fallback to '?')
-    const sanitize = (str) => String(str).replace(/[^\x00-\xFF]/g, '?');
-    let y = page.getHeight()-margin;
-    // Try to embed a Unicode-capable font for proper encoding support. If embedding fails, fall back to sanitized WinAnsi text.
-    async function embedUnicodeFont(doc){
-      const candidates = [
-        'https://cdn.jsdelivr.net/gh/google/fonts@main/apache/roboto/Roboto-Regular.ttf',
-        'https://cdn.jsdelivr.net/gh/google/fonts@main/ofl/noto/NotoSans-Regular.ttf',
-        'https://github.com/dejavu-fonts/dejavu-fonts/raw/master/ttf/DejaVuSans.ttf'
-      ];
-      for(const url of candidates){
-        try{
-          const res = await fetch(url);
-          if(!res.ok) continue;
-          const bytes = await res.arrayBuffer();
-          return await doc.embedFont(bytes);
-        }catch(e){
-          console.warn('Font fetch failed for', url, e);
-          continue;
-        }
-      }
-      return null;
+/* ---- standard security handler (used by protectPDF, unlockPDF and readPDF) ---- */
+// RC4 (V2/R3), AES-128 (V4/R4) and AES-256 (V5/R6) as in ISO 32000; R2 and R5 files can also be opened.
+// pdf-lib has no encryption support, so documents are loaded with ignoreEncryption and every string and
+// stream is run through the cipher here before the context is written back out.
+
+const PDF_PASSWORD_PAD = new Uint8Array([0x28,0xbf,0x4e,0x5e,0x4e,0x75,0x8a,0x41,0x64,0x00,0x4e,0x56,0xff,0xfa,0x01,0x08,0x2e,0x2e,0x00,0xb6,0xd0,0x68,0x3e,0x80,0x2f,0x0c,0xa9,0xfe,0x64,0x53,0x69,0x7a]);
+// permission flags (P entry bits) granted by each option; bit 10 (accessibility extraction) is always granted
+const PDF_PERMISSION_BITS = { print: 0x4|0x800, modify: 0x8|0x20|0x100|0x400, copy: 0x10 };
+const PDF_ENCRYPTIONS = {
+  'rc4-128': { V:2, R:3, length:128, method:'rc4' },
+  'aes-128': { V:4, R:4, length:128, method:'aes', cfm:'AESV2' },
+  'aes-256': { V:5, R:6, length:256, method:'aes', cfm:'AESV3' }
+};
+
+function concatBytes(...parts){
+  const out = new Uint8Array(parts.reduce((n,p)=>n+p.length,0)); let o = 0;
+  parts.forEach(p=>{ out.set(p,o); o += p.length; });
+  return out;
+}
+const randomBytes = n=>crypto.getRandomValues(new Uint8Array(n));
+const int32LE = n=>new Uint8Array([n&255, (n>>8)&255, (n>>16)&255, (n>>>24)&255]);
+const bytesToHex = b=>Array.from(b, x=>x.toString(16).padStart(2,'0')).join('');
+
+const MD5_S = [7,12,17,22, 5,9,14,20, 4,11,16,23, 6,10,15,21];
+const MD5_K = Array.from({ length:64 }, (_,i)=>Math.floor(Math.abs(Math.sin(i+1)) * 2**32) >>> 0);
+function md5(bytes){
+  const len = bytes.length, padded = new Uint8Array((((len+8)>>6)+1)<<6);
+  padded.set(bytes); padded[len] = 0x80;
+  const dv = new DataView(padded.buffer);
+  dv.setUint32(padded.length-8, (len*8)>>>0, true); dv.setUint32(padded.length-4, Math.floor(len/0x20000000), true);
+  let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+  for(let off=0; off<padded.length; off+=64){
+    let a = a0, b = b0, c = c0, d = d0;
+    for(let i=0;i<64;i++){
+      let f, g;
+      if(i<16){ f = (b&c)|(~b&d); g = i; }
+      else if(i<32){ f = (d&b)|(~d&c); g = (5*i+1)%16; }
+      else if(i<48){ f = b^c^d; g = (3*i+5)%16; }
+      else { f = c^(b|~d); g = (7*i)%16; }
+      const s = MD5_S[(i>>4)*4 + (i&3)], x = (a + f + MD5_K[i] + dv.getUint32(off+g*4, true))|0;
+      a = d; d = c; c = b; b = (b + ((x<<s)|(x>>>(32-s))))|0;
     }
+    a0 = (a0+a)|0; b0 = (b0+b)|0; c0 = (c0+c)|0; d0 = (d0+d)|0;
+  }
+  const out = new Uint8Array(16), ov = new DataView(out.buffer);
+  [a0,b0,c0,d0].forEach((v,i)=>ov.setUint32(i*4, v>>>0, true));
+  return out;
+}
 
-    // Attempt Unicode font embedding
-    let usedFont = font;
-    try{
-      const ufont = await embedUnicodeFont(pdfDoc);
-      if(ufont) usedFont = ufont;
-    }catch(e){ console.warn('Unicode font embedding failed', e); }
+function rc4(key, data){
+  const s = new Uint8Array(256); for(let i=0;i<256;i++) s[i] = i;
+  for(let i=0, j=0; i<256; i++){ j = (j + s[i] + key[i % key.length]) & 255; [s[i], s[j]] = [s[j], s[i]]; }
+  const out = new Uint8Array(data.length);
+  for(let k=0, i=0, j=0; k<data.length; k++){
+    i = (i+1) & 255; j = (j + s[i]) & 255; [s[i], s[j]] = [s[j], s[i]];
+    out[k] = data[k] ^ s[(s[i] + s[j]) & 255];
+  }
+  return out;
+}
 
-    try{
-      for(const line of rawLines){ const safe = sanitize(line); page.drawText(safe,{x:margin,y, size, font:usedFont, color:rgb(0,0,0)}); y -= size + 4; if(y<margin){ y = page.getHeight()-margin; }}
-    }catch(err){
-      // If drawing still fails, retry with sanitized content using the fallback font
-      console.warn('Initial drawText failed, retrying with sanitized text', err);
-      y = page.getHeight()-margin;
-      for(const line of rawLines){ const safe = sanitize(line); page.drawText(safe,{x:margin,y, size, font:usedFont, color:rgb(0,0,0)}); y -= size + 4; if(y<margin){ y = page.getHeight()-margin; }}
-    }
-    const bytes = await pdfDoc.save(); downloadPDF(bytes, file.name.replace(/\.docx?$/i,'')+'.pdf'); showProgress(100); return bytes;
-  }catch(err){handleError(err);throw err}
-}
-
-/* 8. pdfToJPG - render first page to JPEG using PDF.js */
-async function pdfToJPG(file){
-  try{validatePDF(file); await ensurePdfJs(); showProgress(10);
-    const array = await file.arrayBuffer(); const doc = await pdfjsLib.getDocument({data:array}).promise; const page = await doc.getPage(1);
-    const viewport = page.getViewport({scale:2}); const canvas = document.createElement('canvas'); const ctx = canvas.getContext('2d'); canvas.width = viewport.width; canvas.height = viewport.height;
-    await page.render({canvasContext:ctx, viewport}).promise; showProgress(70);
-    const dataUrl = canvas.toDataURL('image/jpeg',0.9); const blob = dataURItoBlob(dataUrl);
-    const url = URL.createObjectURL(blob); const a = document.createElement('a'); a.href=url; a.download = file.name.replace(/\.pdf$/i,'')+'.jpg'; a.click(); URL.revokeObjectURL(url); showProgress(100); return blob;
-  }catch(err){handleError(err);throw err}
-}
-
-function dataURItoBlob(dataURI){ const byteString = atob(dataURI.split(',')[1]); const ab = new ArrayBuffer(byteString.length); const ia = new Uint8Array(ab); for(let i=0;i<byteString.length;i++) ia[i]=byteString.charCodeAt(i); return new Blob([ab],{type:'image/jpeg'}); }
-
-/* 9. jpgToPDF - convert image to single-page PDF */
-async function jpgToPDF(file){
-  try{ if(!file.type.startsWith('image/')) throw new Error('Not an image'); await ensurePdfLib(); showProgress(10);
-    const array = await file.arrayBuffer(); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.create(); const img = await pdfDoc.embedJpg(array); const page = pdfDoc.addPage([img.width, img.height]); page.drawImage(img,{x:0,y:0,width:img.width,height:img.height}); const bytes = await pdfDoc.save(); downloadPDF(bytes, file.name.replace(/\.(jpg|jpeg|png)$/i,'.pdf')); showProgress(100); return bytes;
-  }catch(err){handleError(err);throw err}
-}
-
-/* 10. addPageNumbers */
-async function addPageNumbers(file, options={start:1, format:'{n}'}){
-  try{validatePDF(file); await ensurePdfLib(); showProgress(5);
-    const array = await file.arrayBuffer(); const { PDFDocument, StandardFonts, rgb } = PDFLib; const pdfDoc = await PDFDocument.load(array);
-    const pages = pdfDoc.getPages(); const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    pages.forEach((p,i)=>{ const { width, height } = p.getSize(); const text = options.format.replace('{n}', (i+options.start).toString()); p.drawText(text,{x:width/2-20,y:20,size:10,font,color:rgb(0.4,0.4,0.4)}); });
-    const bytes = await pdfDoc.save(); showProgress(100); downloadPDF(bytes, file.name.replace(/\.pdf$/i,'')+'-pagenums.pdf'); return bytes;
-  }catch(err){handleError(err);throw err}
-}
-
-/* 11. removePageNumbers - best-effort: attempt to detect small centered footer numbers and remove by redaction (draw white box) */
-async function removePageNumbers(file){
-  try{validatePDF(file); await ensurePdfLib(); showProgress(5);
-    const array = await file.arrayBuffer(); const { PDFDocument, rgb } = PDFLib; const pdfDoc = await PDFDocument.load(array);
-    const pages = pdfDoc.getPages(); pages.forEach(p=>{ const {width}=p.getSize(); p.drawRectangle({x:width/2-40,y:12,width:80,height:18,color:rgb(1,1,1)}); });
-    const bytes = await pdfDoc.save(); showProgress(100); downloadPDF(bytes, file.name.replace(/\.pdf$/i,'')+'-no-pagenums.pdf'); return bytes;
-  }catch(err){handleError(err);throw err}
-}
-
-/* 12. addWatermark */
-async function addWatermark(file, text='ToolMetric watermark'){
-  try{validatePDF(file); await ensurePdfLib(); showProgress(5);
-    const array = await file.arrayBuffer(); const { PDFDocument, StandardFonts, rgb, degrees } = PDFLib; const pdfDoc = await PDFDocument.load(array);
-    const pages = pdfDoc.getPages(); const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-    pages.forEach(p=>{ const { width, height } = p.getSize(); p.drawText(text,{x:width/2-150,y:height/2, size:40, font, color:rgb(0.9,0.9,0.9), rotate:degrees(-30), opacity:0.15}); });
-    const bytes = await pdfDoc.save(); showProgress(100); downloadPDF(bytes, file.name.replace(/\.pdf$/i,'')+'-watermarked.pdf'); return bytes;
-  }catch(err){handleError(err);throw err}
-}
-
-/* 13. removeMetadata */
-async function removeMetadata(file){
-  try{validatePDF(file); await ensurePdfLib(); showProgress(5);
-    const array = await file.arrayBuffer(); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
-    // Create new document and copy pages to strip metadata
-    const out = await PDFDocument.create(); const copied = await out.copyPages(pdfDoc, pdfDoc.getPageIndices()); copied.forEach(p=>out.addPage(p));
-    const bytes = await out.save(); showProgress(100); downloadPDF(bytes, file.name.replace(/\.pdf$/i,'')+'-nometa.pdf'); return bytes;
-  }catch(err){handleError(err);throw err}
+// AES-CBC through WebCrypto. padding=false handles the raw block operations R6 needs: WebCrypto always
+// pads, so encryption drops the trailing pad block and decryption appends a block that decrypts to one.
+async function aesCbc(mode, key, iv, data, padding=true){
+  const k = await crypto.subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt','decrypt']);
+  if(mode==='encrypt'){
+    const out = new Uint8Array(await crypto.subtle.encrypt({ name:'AES-CBC', iv }, k, data));
+    return padding ? out : out.slice(0, data.length);
+  }
+  if(!padding){
+    const extra = new Uint8Array(await crypto.subtle.encrypt({ name:'AES-CBC', iv:data.slice(-16) }, k, new Uint8Array(16).fill(16)));
+    data = concatBytes(data, extra.slice(0,16));
+  }
+  return new Uint8Array(await crypto.subtle.decrypt({ name:'AES-CBC', iv }, k, data));
 }
 
-/* 14. cropPDF - crop pages by margins {top,right,bottom,left} in points */
-async function cropPDF(file, margins={top:0,right:0,bottom:0,left:0}){
-  try{validatePDF(file); await ensurePdfLib(); showProgress(5);
-    const array = await file.arrayBuffer(); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
-    const pages = pdfDoc.getPages(); pages.forEach(p=>{ const {width,height} = p.getSize(); p.setMediaBox(margins.left, margins.bottom, width-margins.left-margins.right, height-margins.top-margins.bottom); });
-    const bytes = await pdfDoc.save(); showProgress(100); downloadPDF(bytes, file.name.replace(/\.pdf$/i,'')+'-cropped.pdf'); return bytes;
-  }catch(err){handleError(err);throw err}
-}
-
-/* 15. extractImages - attempt to extract embedded images using pdf-lib internal objects - best-effort */
-async function extractImages(file){
-  try{validatePDF(file); await ensurePdfLib(); showProgress(5);
-    const array = await file.arrayBuffer(); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
-    let images = 0; const blobs = [];
-    for(const page of pdfDoc.getPages()){
-      // pdf-lib doesn't expose direct images; iterate through xObjects raw may be required - skip exhaustive approach
-    }
-    showProgress(100);
-    if(blobs.length===0) alert('No extractable images found (this is a best-effort feature).');
-    blobs.forEach((b,i)=>{ const url=URL.createObjectURL(b); const a=document.createElement('a'); a.href=url; a.download = `image-${i+1}.jpg`; a.click(); URL.revokeObjectURL(url); });
-    return blobs;
-  }catch(err){handleError(err);throw err}
-}
-
-/* 16. pdfToPNG - render all pages to PNG images using PDF.js */
-async function pdfToPNG(file){
-  try{validatePDF(file); await ensurePdfJs(); showProgress(5);
-    const array = await file.arrayBuffer(); const doc = await pdfjsLib.getDocument({data:array}).promise; const results=[];
-    for(let p=1;p<=doc.numPages;p++){ const page = await doc.getPage(p); const scale = 2; const vp = page.getViewport({scale}); const canvas = document.createElement('canvas'); canvas.width=vp.width; canvas.height=vp.height; const ctx=canvas.getContext('2d'); await page.render({canvasContext:ctx, viewport:vp}).promise; const dataUrl = canvas.toDataURL('image/png'); results.push(dataUrl); showProgress(5 + 90*p/doc.numPages); const blob = dataURItoBlob(dataUrl); const url = URL.createObjectURL(blob); const a=document.createElement('a'); a.href=url; a.download = file.name.replace(/\.pdf$/i,`-page-${p}.png`); a.click(); URL.revokeObjectURL(url); }
-    showProgress(100); return results;
-  }catch(err){handleError(err);throw err}
+const sha = async(bits, data)=>new Uint8Array(await crypto.subtle.digest('SHA-'+bits, data));
+
+// password hash for AES-256: plain SHA-256 for R5, the iterated SHA-256/384/512 + AES loop for R6
+async function hashR6(password, salt, udata, revision=6){
+  let k = await sha(256, concatBytes(password, salt, udata));
+  if(revision===5) return k;
+  for(let round=1; ; round++){
+    const k1 = concatBytes(password, k, udata), block = new Uint8Array(k1.length*64);
+    for(let i=0;i<64;i++) block.set(k1, i*k1.length);
+    const e = await aesCbc('encrypt', k.slice(0,16), k.slice(16,32), block, false);
+    let sum = 0; for(let i=0;i<16;i++) sum += e[i];
+    k = await sha([256,384,512][sum%3], e);
+    if(round>=64 && e[e.length-1] <= round-32) break;
+  }
+  return k.slice(0,32);
 }
 
-/* 17. reorderPages(file, newOrder) - newOrder array 1-based */
-async function reorderPages(file, newOrder){
-  try{validatePDF(file); await ensurePdfLib(); showProgress(5);
-    const array = await file.arrayBuffer(); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
-    const out = await PDFDocument.create(); const indices = newOrder.map(n=>n-1).filter(i=>i>=0&&i<pdfDoc.getPageCount()); const copied = await out.copyPages(pdfDoc,indices); copied.forEach(p=>out.addPage(p)); const bytes = await out.save(); showProgress(100); downloadPDF(bytes, file.name.replace(/\.pdf$/i,'')+'-reordered.pdf'); return bytes;
-  }catch(err){handleError(err);throw err}
+// R2-R4 passwords are PDFDocEncoding, padded or truncated to 32 bytes; R5/R6 use UTF-8 up to 127 bytes
+const padPassword = pw=>{ const b = Uint8Array.from(Array.from(pw||'').slice(0,32), ch=>ch.charCodeAt(0)&255); return concatBytes(b, PDF_PASSWORD_PAD.slice(0, 32-b.length)); };
+const utf8Password = pw=>new TextEncoder().encode(pw||'').slice(0,127);
+
+function rc4FileKey(padded, { O, P, id, R, length, encryptMetadata }){
+  const n = R===2 ? 5 : length/8;
+  let h = md5(concatBytes(padded, O, int32LE(P), id, R>=4 && !encryptMetadata ? new Uint8Array([255,255,255,255]) : new Uint8Array(0)));
+  if(R>=3) for(let i=0;i<50;i++) h = md5(h.slice(0,n));
+  return h.slice(0,n);
+}
+function rc4UserEntry(key, { R, id }){
+  if(R===2) return rc4(key, PDF_PASSWORD_PAD);
+  let u = rc4(key, md5(concatBytes(PDF_PASSWORD_PAD, id)));
+  for(let i=1;i<=19;i++) u = rc4(key.map(b=>b^i), u);
+  return concatBytes(u, new Uint8Array(16));
+}
+function rc4OwnerKey(ownerPassword, R, n){
+  let h = md5(padPassword(ownerPassword));
+  if(R>=3) for(let i=0;i<50;i++) h = md5(h);
+  return h.slice(0,n);
 }
 
-/* 18. deletePages(file, pagesToDelete) - pagesToDelete array 1-based */
-async function deletePages(file, pagesToDelete){
-  try{validatePDF(file); await ensurePdfLib(); showProgress(5);
-    const array = await file.arrayBuffer(); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
-    const keep=[]; const total = pdfDoc.getPageCount(); for(let i=0;i<total;i++){ if(!pagesToDelete.includes(i+1)) keep.push(i); }
-    const out = await PDFDocument.create(); const copied = await out.copyPages(pdfDoc, keep); copied.forEach(p=>out.addPage(p)); const bytes = await out.save(); showProgress(100); downloadPDF(bytes, file.name.replace(/\.pdf$/i,'')+'-delpages.pdf'); return bytes;
-  }catch(err){handleError(err);throw err}
+// check a password against an Encrypt dictionary; returns the handler used to (de|en)crypt objects, or null
+async function authenticatePDF(context, password){
+  const { PDFName, PDFDict, PDFString, PDFHexString, PDFNumber, PDFBool } = PDFLib;
+  const encryptRef = context.trailerInfo.Encrypt; const enc = context.lookup(encryptRef);
+  if(!(enc instanceof PDFDict)) throw new Error('Unsupported encryption dictionary');
+  const filter = enc.lookup(PDFName.of('Filter'));
+  if(filter && filter.decodeText() !== 'Standard') throw new Error(`Unsupported security handler: ${filter.decodeText()}`);
+  const num = k=>{ const v = enc.lookup(PDFName.of(k)); return v instanceof PDFNumber ? v.asNumber() : undefined; };
+  const str = k=>{ const v = enc.lookup(PDFName.of(k)); return v instanceof PDFString || v instanceof PDFHexString ? v.asBytes() : new Uint8Array(0); };
+  const V = num('V') || 0, R = num('R'), P = num('P')|0, length = num('Length') || 40;
+  const em = enc.lookup(PDFName.of('EncryptMetadata')); const encryptMetadata = !(em instanceof PDFBool) || em.asBoolean();
+  const O = str('O'), U = str('U');
+  const idArray = context.lookup(context.trailerInfo.ID); const idEntry = idArray && idArray.get(0) && context.lookup(idArray.get(0));
+  const id = idEntry && idEntry.asBytes ? idEntry.asBytes() : new Uint8Array(0);
+  const methodOf = name=>{
+    if(V<4) return 'rc4';
+    const cfName = name ? name.decodeText() : 'Identity';
+    if(cfName==='Identity') return 'none';
+    const cf = enc.lookup(PDFName.of('CF')); const entry = cf instanceof PDFDict ? cf.lookup(PDFName.of(cfName)) : null;
+    const cfm = entry instanceof PDFDict && entry.lookup(PDFName.of('CFM')) ? entry.lookup(PDFName.of('CFM')).decodeText() : 'None';
+    return cfm==='V2' ? 'rc4' : cfm.startsWith('AESV') ? 'aes' : 'none';
+  };
+  const handler = { R, V, encryptMetadata, encryptRef, stm: methodOf(enc.lookup(PDFName.of('StmF'))), str: methodOf(enc.lookup(PDFName.of('StrF'))), key: null, owner: false };
+  if(R>=5){
+    const pw = utf8Password(password), zero = new Uint8Array(16);
+    if(bytesEqual(await hashR6(pw, O.slice(32,40), U.slice(0,48), R), O.slice(0,32))){
+      handler.key = await aesCbc('decrypt', await hashR6(pw, O.slice(40,48), U.slice(0,48), R), zero, str('OE'), false); handler.owner = true;
+    } else if(bytesEqual(await hashR6(pw, U.slice(32,40), new Uint8Array(0), R), U.slice(0,32))){
+      handler.key = await aesCbc('decrypt', await hashR6(pw, U.slice(40,48), new Uint8Array(0), R), zero, str('UE'), false);
+    }
+    return handler.key ? handler : null;
+  }
+  const params = { O, P, id, R, length, encryptMetadata };
+  const tryUser = padded=>{ const key = rc4FileKey(padded, params); const u = rc4UserEntry(key, params); return bytesEqual(u.slice(0, R===2 ? 32 : 16), U.slice(0, R===2 ? 32 : 16)) ? key : null; };
+  // the owner password decrypts O back into the (padded) user password
+  const ownerKey = rc4OwnerKey(password, R, R===2 ? 5 : length/8);
+  let userPadded = O.slice(0,32);
+  if(R===2) userPadded = rc4(ownerKey, userPadded);
+  else for(let i=19;i>=0;i--) userPadded = rc4(ownerKey.map(b=>b^i), userPadded);
+  if((handler.key = tryUser(userPadded))) handler.owner = true;
+  else handler.key = tryUser(padPassword(password));
+  return handler.key ? handler : null;
 }
 
-/* 19. extractFirstPage */
-async function extractFirstPage(file){ return await splitPDF(file, [1]); }
+function bytesEqual(a, b){
+  if(a.length !== b.length) return false;
+  for(let i=0;i<a.length;i++) if(a[i] !== b[i]) return false;
+  return true;
+}
 
-/* 20. extractLastPage */
-async function extractLastPage(file){ try{validatePDF(file); const arr = await file.arrayBuffer(); await ensurePdfLib(); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(arr); const last = pdfDoc.getPageCount(); return await splitPDF(file, [last]); }catch(err){handleError(err);throw err} }
+// encrypt or decrypt one string/stream of the object `ref` with the given method ('rc4' | 'aes' | 'none')
+async function cryptBytes(handler, method, ref, data, encrypt){
+  if(method==='none') return data;
+  let key = handler.key;
+  if(handler.R < 5){
+    const n = ref.objectNumber, g = ref.generationNumber;
+    const salt = method==='aes' ? new Uint8Array([0x73,0x41,0x6c,0x54]) : new Uint8Array(0);
+    key = md5(concatBytes(key, new Uint8Array([n&255, (n>>8)&255, (n>>16)&255, g&255, (g>>8)&255]), salt)).slice(0, Math.min(key.length+5, 16));
+  }
+  if(method==='rc4') return rc4(key, data);
+  if(encrypt){ const iv = randomBytes(16); return concatBytes(iv, await aesCbc('encrypt', key, iv, data)); }
+  const body = data.slice(16, 16 + Math.floor(Math.max(0, data.length-16)/16)*16);
+  if(!body.length) return new Uint8Array(0);
+  // some writers leave out the final padding block; fall back to a raw decrypt rather than failing
+  try{ return await aesCbc('decrypt', key, data.slice(0,16), body); }
+  catch(e){ return await aesCbc('decrypt', key, data.slice(0,16), body, false); }
+}
 
-// Expose functions
-window.ToolMetric = {
-  compressPDF, removeBlankPages, splitPDF, rotatePDF, mergePDFs, pdfToWord, wordToPDF, pdfToJPG, jpgToPDF,
-  addPageNumbers, removePageNumbers, addWatermark, removeMetadata, cropPDF, extractImages, pdfToPNG, reorderPages, deletePages, extractFirstPage, extractLastPage,
-  downloadPDF, showProgress, handleError, validatePDF
+async function cryptStrings(obj, fn){
+  const { PDFString, PDFHexString, PDFDict, PDFArray } = PDFLib;
+  if(obj instanceof PDFString || obj instanceof PDFHexString) return PDFHexString.of(bytesToHex(await fn(obj.asBytes())));
+  if(obj instanceof PDFDict){ for(const [k, v] of obj.entries()){ const r = await cryptStrings(v, fn); if(r !== v) obj.set(k, r); } }
+  else if(obj instanceof PDFArray){ for(let i=0;i<obj.size();i++){ const v = obj.get(i), r = await cryptStrings(v, fn); if(r !== v) obj.set(i, r); } }
+  return obj;
+}
+
+// run every indirect string and stream of the document through the handler's cipher
+async function cryptDocument(context, handler, encrypt){
+  const { PDFName, PDFNumber, PDFDict, PDFStream, PDFRawStream } = PDFLib;
+  for(const [ref, obj] of context.enumerateIndirectObjects()){
+    if(ref === handler.encryptRef) continue;
+    if(obj instanceof PDFStream){
+      const type = obj.dict.lookup(PDFName.of('Type'));
+      if(type === PDFName.of('XRef')) continue;
+      await cryptStrings(obj.dict, b=>cryptBytes(handler, handler.str, ref, b, encrypt));
+      if(type === PDFName.of('Metadata') && !handler.encryptMetadata) continue;
+      const contents = await cryptBytes(handler, handler.stm, ref, obj instanceof PDFRawStream ? obj.contents : obj.getContents(), encrypt);
+      obj.dict.set(PDFName.of('Length'), PDFNumber.of(contents.length));
+      context.assign(ref, PDFRawStream.of(obj.dict, contents));
+    } else if(obj instanceof PDFDict && obj.lookup(PDFName.of('Type')) === PDFName.of('Sig')){
+      continue; // signature contents are never encrypted
+    } else await cryptStrings(obj, b=>cryptBytes(handler, handler.str, ref, b, encrypt));
+  }
+}
+
+// object streams can't be parsed while encrypted, so pdf-lib keeps them as invalid objects; decrypt and expand them
+async function expandEncryptedObjectStreams(context, handler){
+  const { PDFInvalidObject, PDFObjectParser, PDFObjectStreamParser, PDFRawStream, PDFName, PDFNumber } = PDFLib;
+  for(const [ref, obj] of context.enumerateIndirectObjects()){
+    if(!(obj instanceof PDFInvalidObject)) continue;
+    const data = obj.data; const text = new TextDecoder('latin1').decode(data.subarray(0, Math.min(data.length, 4096)));
+    const at = text.indexOf('stream'); if(at < 0 || !/\/ObjStm\b/.test(text.slice(0, at))) continue;
+    const dict = PDFObjectParser.forBytes(data.subarray(0, at), context).parseObject();
+    let start = at + 6; if(data[start]===0x0d) start++; if(data[start]===0x0a) start++;
+    const length = context.lookup(dict.get(PDFName.of('Length')));
+    const end = length instanceof PDFNumber ? start + length.asNumber() : data.length - 9;
+    const stream = PDFRawStream.of(dict, await cryptBytes(handler, handler.stm, ref, data.slice(start, end), false));
+    context.delete(ref);
+    await PDFObjectStreamParser.forStream(stream).parseIntoContext();
+  }
+}
+
+// decrypt PDF bytes with a password; resolves to the decrypted bytes, the input unchanged when it isn't
+// encrypted, or null when the password is wrong
+async function decryptPDFBytes(bytes, password=''){
+  await ensurePdfLib();
+  const { PDFDocument, PDFWriter } = PDFLib;
+  const pdfDoc = await PDFDocument.load(bytes, { ignoreEncryption:true, updateMetadata:false });
+  if(!pdfDoc.isEncrypted) return bytes;
+  const context = pdfDoc.context;
+  const handler = await authenticatePDF(context, password);
+  if(!handler) return null;
+  await cryptDocument(context, handler, false);
+  await expandEncryptedObjectStreams(context, handler);
+  if(handler.encryptRef instanceof PDFLib.PDFRef) context.delete(handler.encryptRef);
+  context.trailerInfo.Encrypt = undefined;
+  return await PDFWriter.forContext(context, 50).serializeToBuffer();
+}
+
+function hasEncryptEntry(bytes){
+  const key = [0x2f,0x45,0x6e,0x63,0x72,0x79,0x70,0x74]; // "/Encrypt"
+  outer: for(let i = bytes.indexOf(0x2f); i >= 0 && i <= bytes.length-key.length; i = bytes.indexOf(0x2f, i+1)){
+    for(let k=1;k<key.length;k++) if(bytes[i+k] !== key[k]) continue outer;
+    return true;
+  }
+  return false;
+}
+
+// window.prompt on the page; the worker has to ask the page for it
+async function askPassword(message){
+  return IN_WORKER ? await requestFromPage('prompt', { message }) : window.prompt(message);
+}
+
+// every tool reads its input through here: encrypted PDFs are opened with an empty password where that works
+// (owner-password-only files) and otherwise prompt for the password; the decrypted bytes are kept per File
+const unlockedFiles = new WeakMap();
+async function readPDF(file, password){
+  if(unlockedFiles.has(file)) return unlockedFiles.get(file).slice();
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if(!hasEncryptEntry(bytes)) return bytes;
+  let wrong = !!password, result = await decryptPDFBytes(bytes, password || '');
+  while(!result){
+    const entered = await askPassword(`${wrong ? 'Incorrect password. ' : ''}"${file.name}" is password protected. Enter its password:`);
+    if(entered == null) throw new Error(`"${file.name}" is password protected`);
+    result = await decryptPDFBytes(bytes, entered); wrong = true;
+  }
+  unlockedFiles.set(file, result);
+  return result.slice();
+}
+
+// add an Encrypt dictionary (and a document ID if there is none) for the chosen algorithm; returns the handler
+async function createSecurityHandler(context, { userPassword='', ownerPassword='', algorithm='aes-256', permissions={} }){
+  const { PDFName, PDFHexString, PDFNumber, PDFArray } = PDFLib;
+  const spec = PDF_ENCRYPTIONS[algorithm]; if(!spec) throw new Error('Unknown encryption algorithm: '+algorithm);
+  if(!ownerPassword) ownerPassword = userPassword;
+  const P = Object.keys(PDF_PERMISSION_BITS).reduce((p,k)=>permissions[k]===false ? p : p|PDF_PERMISSION_BITS[k], 0xfffff0c0|0x200)|0;
+  const hex = b=>PDFHexString.of(bytesToHex(b));
+  let idArray = context.lookup(context.trailerInfo.ID);
+  if(!(idArray instanceof PDFArray) || !idArray.size()){ const id = hex(randomBytes(16)); idArray = context.obj([id, id]); context.trailerInfo.ID = idArray; }
+  const id = context.lookup(idArray.get(0)).asBytes();
+  const entries = { Filter: 'Standard', V: spec.V, R: spec.R, Length: spec.length, P };
+  let key;
+  if(spec.R===6){
+    key = randomBytes(32); const zero = new Uint8Array(16), none = new Uint8Array(0);
+    const up = utf8Password(userPassword), op = utf8Password(ownerPassword);
+    const uvs = randomBytes(8), uks = randomBytes(8), ovs = randomBytes(8), oks = randomBytes(8);
+    const U = concatBytes(await hashR6(up, uvs, none), uvs, uks);
+    const O = concatBytes(await hashR6(op, ovs, U), ovs, oks);
+    const perms = concatBytes(int32LE(P), new Uint8Array([255,255,255,255, 0x54, 0x61,0x64,0x62]), randomBytes(4));
+    Object.assign(entries, { U: hex(U), O: hex(O),
+      UE: hex(await aesCbc('encrypt', await hashR6(up, uks, none), zero, key, false)),
+      OE: hex(await aesCbc('encrypt', await hashR6(op, oks, U), zero, key, false)),
+      Perms: hex(await aesCbc('encrypt', key, zero, perms, false)) });
+  } else {
+    const n = spec.length/8, ownerKey = rc4OwnerKey(ownerPassword, spec.R, n);
+    let O = rc4(ownerKey, padPassword(userPassword));
+    for(let i=1;i<=19;i++) O = rc4(ownerKey.map(b=>b^i), O);
+    key = rc4FileKey(padPassword(userPassword), { O, P, id, R:spec.R, length:spec.length, encryptMetadata:true });
+    Object.assign(entries, { O: hex(O), U: hex(rc4UserEntry(key, { R:spec.R, id })) });
+  }
+  if(spec.cfm) Object.assign(entries, { CF: { StdCF: { Type:'CryptFilter', CFM: spec.cfm, AuthEvent:'DocOpen', Length: spec.length/8 } }, StmF:'StdCF', StrF:'StdCF' });
+  const encryptRef = context.register(context.obj(entries));
+  context.trailerInfo.Encrypt = encryptRef;
+  return { R: spec.R, V: spec.V, key, encryptRef, encryptMetadata: true, stm: spec.method, str: spec.method, owner: true };
+}
+
+// compression presets: the resolution images are downsampled to and the JPEG quality they are re-encoded at
+const COMPRESS_PRESETS = {
+  low:    { dpi:150, quality:0.8 },
+  medium: { dpi:110, quality:0.65 },
+  high:   { dpi:72,  quality:0.45 }
 };
+// progressively harsher settings tried by the targetBytes mode
+const COMPRESS_LADDER = [
+  { dpi:150, quality:0.8 }, { dpi:120, quality:0.7 }, { dpi:110, quality:0.65 }, { dpi:96, quality:0.55 },
+  { dpi:72, quality:0.45 }, { dpi:60, quality:0.38 }, { dpi:50, quality:0.3 }, { dpi:40, quality:0.22 }
+];
+
+// re-encode one image XObject as a downsampled JPEG, keeping its soft mask or stencil mask; returns false when the
+// image is left untouched
+async function recompressImage(pdfDoc, { ref, stream, pageSize }, { dpi, quality }){
+  const { PDFName, PDFBool, PDFArray } = PDFLib;
+  const dict = stream.dict;
+  // small images, stencil masks and bilevel scans gain nothing (or get worse) as JPEG
+  if(stream.contents.length < 8*1024 || dict.lookup(PDFName.of('ImageMask'))===PDFBool.True || dictNumber(dict,'BitsPerComponent',8) < 8) return false;
+  const width = dictNumber(dict,'Width'), height = dictNumber(dict,'Height');
+  const filters = imageFilters(dict);
+  const cs = resolveColorSpace(pdfDoc.context, dict.get(PDFName.of('ColorSpace')));
+  if(!cs || !width || !height) return false;
+  // a colour-key /Mask (an array of sample ranges) would no longer match the re-encoded pixels; a mask image still does
+  const mask = dict.get(PDFName.of('Mask'));
+  if(pdfDoc.context.lookup(mask) instanceof PDFArray) return false;
+  let source;
+  if(filters.length===1 && filters[0]==='DCTDecode'){
+    // browsers disagree on Adobe CMYK JPEGs and on /Decode arrays, so leave those alone
+    if(cs.comps===4 || dict.has(PDFName.of('Decode'))) return false;
+    source = await createImageBitmap(new Blob([stream.contents],{type:'image/jpeg'}));
+  } else {
+    const pixels = decodeImagePixels(pdfDoc.context, stream, { applySMask:false });
+    if(!pixels) return false;
+    source = await createImageBitmap(new ImageData(pixels.data, pixels.width, pixels.height));
+  }
+  const limit = Math.max(pageSize.width, pageSize.height)/72*dpi;
+  const scale = Math.min(1, limit/Math.max(width,height));
+  const w = Math.max(1, Math.round(width*scale)), h = Math.max(1, Math.round(height*scale));
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext('2d'); ctx.fillStyle = '#fff'; ctx.fillRect(0,0,w,h); ctx.drawImage(source,0,0,w,h); source.close();
+  const jpeg = new Uint8Array(await (await canvasToBlob(canvas,'image/jpeg',quality)).arrayBuffer());
+  if(jpeg.length >= stream.contents.length) return false;
+  const replacement = pdfDoc.context.stream(jpeg, { Type:'XObject', Subtype:'Image', Width:w, Height:h, ColorSpace:'DeviceRGB', BitsPerComponent:8, Filter:'DCTDecode' });
+  const smask = dict.get(PDFName.of('SMask')); if(smask) replacement.dict.set(PDFName.of('SMask'), smask);
+  if(mask) replacement.dict.set(PDFName.of('Mask'), mask);
+  pdfDoc.context.assign(ref, replacement);
+  return true;
+}
+
+async function recompressImages(pdfDoc, settings, onProgress){
+  const images = collectImageXObjects(pdfDoc); let replaced = 0;
+  for(let i=0;i<images.length;i++){
+    try{ if(await recompressImage(pdfDoc, images[i], settings)) replaced++; }
+    catch(e){ console.warn('Skipping image', images[i].ref.toString(), e); }
+    if(onProgress) onProgress((i+1)/images.length);
+  }
+  return replaced;
+}
+
+// the compression itself, bytes in and { bytes, report } out; never hands back something bigger than what came in
+async function compressBytes(array, options, task){
+  const { level='medium', targetBytes=0 } = options;
+  const { PDFDocument } = PDFLib;
+  const preset = { ...(COMPRESS_PRESETS[level] || COMPRESS_PRESETS.medium) };
+  // quality 0 is a valid (if harsh) JPEG setting, so only a missing value falls back to the preset
+  preset.dpi = options.dpi ?? preset.dpi;
+  preset.quality = options.quality ?? preset.quality;
+  const attempts = [preset];
+  if(targetBytes) attempts.push(...COMPRESS_LADDER.filter(s=>s.dpi<=preset.dpi && s.quality<=preset.quality && (s.dpi<preset.dpi || s.quality<preset.quality)));
+  let best = null;
+  for(let a=0;a<attempts.length;a++){
+    const settings = attempts[a], base = 10 + 85*a/attempts.length, span = 85/attempts.length;
+    const pdfDoc = await PDFDocument.load(array);
+    const images = await recompressImages(pdfDoc, settings, f=>task.progress(base + span*0.8*f, { stage:`Recompressing images (pass ${a+1} of ${attempts.length})` }));
+    const bytes = await pdfDoc.save({ useObjectStreams:true, addDefaultPage:false });
+    if(!best || bytes.length < best.bytes.length) best = { bytes, images, ...settings };
+    task.progress(base + span);
+    if(!targetBytes || bytes.length <= targetBytes) break;
+  }
+  const bytes = best.bytes.length < array.byteLength ? best.bytes : new Uint8Array(array);
+  return { bytes, report: { before:array.byteLength, after:bytes.length, dpi:best.dpi, quality:best.quality, images:best.images, targetBytes, reachedTarget: !targetBytes || bytes.length <= targetBytes } };
+}
+
+/* 1. compressPDF - downsamples and re-encodes embedded images as JPEG, then saves with object streams
+   options:
+     level ('low'|'medium'|'high') : compression preset, see COMPRESS_PRESETS
+     dpi, quality                  : override the preset's image resolution / JPEG quality (0-1)
+     targetBytes (number)          : keep trying harsher settings until the output fits this size
+     onReport (function)           : receives { before, after, dpi, quality, images, targetBytes, reachedTarget }
+*/
+async function compressPDF(file, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); task.progress(5); await ensurePdfLib();
+    const { bytes, report } = await compressBytes(await readPDF(file), options, task);
+    if(options.onReport) options.onReport(report);
+    task.progress(100);
+    task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-compressed.pdf');
+    return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* 2. removeBlankPages - renders each page with PDF.js and measures how much of it is non-white;
+   a page counts as blank when it has no extractable text and its ink coverage is within tolerance.
+   analyzeBlankPages returns the per-page report (with PNG Blob thumbnails) so the UI can confirm before removing.
+   options:
+     tolerance (number) : max percentage of non-white pixels a blank page may have (default 0.5)
+     whiteLevel (0-255) : pixels whose darkest channel is at or above this count as white (default 235)
+     pages (number[])   : 1-based pages to remove, e.g. after the user reviewed analyzeBlankPages();
+                          when omitted the detected blank pages are removed
+     onReport (function): receives the per-page analysis ({ page, blank, reason, ... } for every page)
+*/
+async function analyzeBlankPages(file, options={}){
+  validatePDF(file);
+  return await blankPageReport(await readPDF(file), options, createTask(options));
+}
+
+// the analysis behind analyzeBlankPages, on PDF bytes
+async function blankPageReport(array, { tolerance = 0.5, whiteLevel = 235, thumbnails = true }, task){
+  await ensurePdfJs();
+  const doc = await openPdfJs(array);
+  const report = [];
+  for(let p=1;p<=doc.numPages;p++){
+    const page = await doc.getPage(p);
+    const content = await page.getTextContent();
+    const textChars = content.items.reduce((n,it)=>n + (it.str||'').replace(/\s+/g,'').length, 0);
+    const canvas = await renderPageToCanvas(page, 200 / page.getViewport({ scale: 1 }).width);
+    const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    // ignore a thin border so scanner edge shadows don't count as content
+    const mx = Math.floor(width*0.03), my = Math.floor(height*0.03);
+    let ink = 0, total = 0;
+    for(let y=my;y<height-my;y++) for(let x=mx;x<width-mx;x++){
+      const i = (y*width+x)*4; total++;
+      if(Math.min(data[i],data[i+1],data[i+2]) < whiteLevel) ink++;
+    }
+    const inkPercent = total ? 100*ink/total : 0;
+    const blank = textChars===0 && inkPercent <= tolerance;
+    const reason = textChars > 0 ? `contains ${textChars} text character${textChars===1?'':'s'}`
+      : blank ? `no text, ${inkPercent.toFixed(2)}% ink (tolerance ${tolerance}%)`
+      : `no text but ${inkPercent.toFixed(2)}% ink exceeds tolerance ${tolerance}%`;
+    report.push({ page:p, blank, reason, textChars, inkPercent, thumbnail: thumbnails ? await canvasToBlob(canvas, 'image/png') : null });
+    task.progress(5 + 70*p/doc.numPages, { stage:'Checking for blank pages', page:p, pages:doc.numPages });
+  }
+  return report;
+}
+
+// drop the detected blank pages (or options.pages) from a loaded document: returns { doc, report } with the
+// remaining pages in a new document, and the analysis when one was run
+async function dropBlankPages(pdfDoc, options, task){
+  const { pages: chosen } = options;
+  const report = chosen ? null : await blankPageReport(await pdfDoc.save(), { ...options, thumbnails:false }, task);
+  const remove = new Set(chosen || report.filter(r=>r.blank).map(r=>r.page));
+  const keep = pdfDoc.getPageIndices().filter(i=>!remove.has(i+1));
+  if(keep.length===0) throw new Error('Every page would be removed; lower the tolerance or deselect some pages');
+  return { doc: await copyPagesToNew(pdfDoc, keep), report };
+}
+
+async function removeBlankPages(file, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(await readPDF(file));
+    const { doc, report } = await dropBlankPages(pdfDoc, options, task);
+    if(report && options.onReport) options.onReport(report);
+    const bytes = await doc.save(); task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-no-blanks.pdf');
+    return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+// turn a page selection into 0-based indices: an array of 1-based page numbers or a string like '1-3,5'.
+// an empty selection means every page; pages outside the document are dropped, but malformed parts
+// ('abc', '0', '5-2') throw so a typo never quietly produces an empty or partial document.
+function parsePageRange(pageRange, total){
+  let pages=[];
+  if(pageRange==null || (typeof pageRange==='string' && !pageRange.trim())) return Array.from({length:total},(_,i)=>i);
+  if(Array.isArray(pageRange)){
+    const bad = pageRange.find(n=>!Number.isInteger(Number(n)) || Number(n)<1);
+    if(bad!==undefined) throw new Error(`Invalid page number: ${bad}`);
+    pages = pageRange.map(n=>Number(n)-1);
+  }
+  else{
+    const parts = String(pageRange).split(',').map(s=>s.trim()).filter(Boolean);
+    for(const part of parts){
+      const m = /^(\d+)(?:\s*-\s*(\d+))?$/.exec(part);
+      if(!m) throw new Error(`Invalid page range "${part}" — use page numbers and ranges such as 1-3,5`);
+      const a = Number(m[1]), b = m[2]===undefined ? a : Number(m[2]);
+      if(a<1) throw new Error(`Invalid page range "${part}" — pages are numbered from 1`);
+      if(b<a) throw new Error(`Invalid page range "${part}" — the range ends before it starts`);
+      for(let i=a;i<=Math.min(b,total);i++) pages.push(i-1);
+    }
+  }
+  return pages.filter(p=>p>=0 && p<total);
+}
+
+/* ---- split helpers (used by splitPDF) ---- */
+
+// '1-3,5' is two groups; with ';' each group may hold several ranges ('1-2,4;5-9')
+function parsePageGroups(spec, total){
+  const text = String(spec||'').trim();
+  if(!text) throw new Error('Enter the page ranges to split into, e.g. 1-3,5');
+  return text.split(text.includes(';') ? ';' : ',').map(s=>s.trim()).filter(Boolean).map(group=>{
+    const pages = parsePageRange(group, total);
+    if(!pages.length) throw new Error(`Pages ${group} are outside this ${total}-page document`);
+    return { label: group.replace(/\s+/g,''), pages };
+  });
+}
+
+// a bookmark title made safe for a file name
+function fileSafe(text, max=60){
+  return String(text||'').replace(/[\\/:*?"<>|\u0000-\u001f]+/g,' ').trim().replace(/\s+/g,'-').slice(0, max).replace(/^[-.]+|[-.]+$/g,'');
+}
+
+// top-level outline entries that resolve to a page, as [{ title, index }] sorted by page
+async function topLevelBookmarks(bytes){
+  await ensurePdfJs();
+  const doc = await openPdfJs(bytes.slice());
+  const marks = [];
+  for(const item of (await doc.getOutline()) || []){
+    try{
+      const dest = typeof item.dest==='string' ? await doc.getDestination(item.dest) : item.dest;
+      if(!Array.isArray(dest) || dest[0]==null) continue;
+      const index = typeof dest[0]==='object' ? await doc.getPageIndex(dest[0]) : Number(dest[0]);
+      if(Number.isInteger(index) && index>=0 && index<doc.numPages) marks.push({ title: item.title || '', index });
+    }catch(e){ console.warn('Skipping bookmark', item.title, e); }
+  }
+  doc.destroy();
+  return marks.sort((a,b)=>a.index-b.index).filter((m,i,all)=>i===0 || m.index!==all[i-1].index);
+}
 
-// Lightweight UI handling for tool pages (drag/drop, file input wiring)
-document.addEventListener('DOMContentLoaded', ()=>{
+// compact label for a run of 0-based pages: '1-3', '5' or '1-2_4'
+function pagesLabel(pages){
+  const runs = [];
+  pages.forEach(p=>{ const last = runs[runs.length-1]; if(last && p===last[1]+1) last[1] = p; else runs.push([p,p]); });
+  return runs.map(([a,b])=>a===b ? `${a+1}` : `${a+1}-${b+1}`).join('_');
+}
+
+async function copyPagesToNew(pdfDoc, pages){
+  const out = await PDFLib.PDFDocument.create();
+  (await out.copyPages(pdfDoc, pages)).forEach(p=>out.addPage(p));
+  return out;
+}
+
+// a new document with just the selected pages (a range string or 1-based page numbers); an empty result throws
+async function keepPages(pdfDoc, pageRange){
+  const total = pdfDoc.getPageCount(), pages = parsePageRange(pageRange, total);
+  if(!pages.length) throw new Error(`No pages selected — this document has ${total} page(s)`);
+  return await copyPagesToNew(pdfDoc, pages);
+}
+
+// consecutive pages into documents of at most maxSize bytes. each page is measured once on its own (a single-page
+// save, less the bytes every document carries); shared fonts and images are counted on every page that uses them, so
+// the running sum overestimates a chunk and it is only saved for real once the sum passes maxSize. a page too big on
+// its own gets its own file
+async function splitBySize(pdfDoc, maxSize, onPage){
+  const measure = async pages=>(await (await copyPagesToNew(pdfDoc, pages)).save()).length;
+  const overhead = (await (await PDFLib.PDFDocument.create()).save()).length;
+  const parts = []; let pages = [], estimate = overhead;
+  for(let i=0;i<pdfDoc.getPageCount();i++){
+    const size = Math.max(0, await measure([i]) - overhead);
+    if(pages.length && estimate + size > maxSize){
+      const exact = await measure(pages.concat(i));
+      if(exact > maxSize){ parts.push(pages); pages = [i]; estimate = overhead + size; }
+      else { pages = pages.concat(i); estimate = exact; }
+    } else { pages = pages.concat(i); estimate += size; }
+    onPage(i);
+  }
+  if(pages.length) parts.push(pages);
+  const out = [];
+  for(const group of parts){
+    const bytes = await (await copyPagesToNew(pdfDoc, group)).save();
+    out.push({ pages: group, bytes, oversize: bytes.length > maxSize });
+  }
+  return out;
+}
+
+/* 3. splitPDF(file, options) - split one PDF into one or more documents.
+   a range string like '1-3,5' or an array of 1-based page numbers keeps just those pages in one PDF,
+   the same as { mode:'extract', pages }. options.mode:
+     'extract'   : options.pages into a single PDF (default)
+     'ranges'    : one file per group in options.ranges — '1-3,5' gives pages 1-3 and page 5; separate groups
+                   with ';' to keep several ranges in one file ('1-2,4;5-9')
+     'every'     : options.every pages per file (default 1)
+     'bookmarks' : one file per top-level bookmark, running to the page before the next one; pages before the
+                   first bookmark become a 'front-matter' file
+     'size'      : consecutive pages in files of at most options.maxSize bytes (a single page larger than that
+                   gets a file of its own, flagged oversize)
+   invalid ranges throw instead of producing an empty PDF.
+   'extract' returns the bytes; other modes return [{ name, pages (1-based), blob, oversize? }] and download one
+   PDF, or a ZIP of them all when there are several */
+async function splitPDF(file, options={}){
+  if(typeof options==='string' || typeof options==='number' || Array.isArray(options)) options = { pages: options };
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const { mode='extract', pages:pageRange, ranges, every=1, maxSize } = options;
+    const array = await readPDF(file); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
+    const total = pdfDoc.getPageCount(), base = file.name.replace(/\.pdf$/i,'');
+    if(mode==='extract'){
+      const bytes = await (await keepPages(pdfDoc, pageRange)).save(); task.progress(100); task.download(bytes, base+`-split.pdf`);
+      return bytes;
+    }
+    let groups;
+    if(mode==='ranges') groups = parsePageGroups(ranges!=null ? ranges : pageRange, total);
+    else if(mode==='every'){
+      const n = Math.trunc(Number(every));
+      if(!(n>=1)) throw new Error('Pages per file must be a whole number of at least 1');
+      groups = [];
+      for(let i=0;i<total;i+=n) groups.push({ pages: Array.from({ length: Math.min(n, total-i) }, (_,k)=>i+k) });
+    }
+    else if(mode==='bookmarks'){
+      const marks = await topLevelBookmarks(array);
+      if(!marks.length) throw new Error('This PDF has no bookmarks that point to pages');
+      if(marks[0].index>0) marks.unshift({ title:'front matter', index:0 });
+      groups = marks.map((m,i)=>({ title: m.title, pages: Array.from({ length: (i+1<marks.length ? marks[i+1].index : total) - m.index }, (_,k)=>m.index+k) }));
+    }
+    else if(mode==='size'){
+      if(!(Number(maxSize)>0)) throw new Error('Enter a maximum file size');
+      groups = await splitBySize(pdfDoc, Number(maxSize), i=>task.progress(5 + 85*(i+1)/total, { stage:'Measuring pages', page:i+1, pages:total }));
+    }
+    else throw new Error('Unknown split mode: '+mode);
+    const digits = String(groups.length).length; const parts = [];
+    for(let i=0;i<groups.length;i++){
+      const g = groups[i], nn = String(i+1).padStart(digits,'0');
+      const suffix = mode==='bookmarks' ? fileSafe(g.title) || 'pages-'+pagesLabel(g.pages) : 'pages-'+pagesLabel(g.pages);
+      const bytes = g.bytes || await (await copyPagesToNew(pdfDoc, g.pages)).save();
+      parts.push({ name: `${base}-${nn}-${suffix}.pdf`, pages: g.pages.map(p=>p+1), blob: new Blob([bytes], { type:'application/pdf' }), ...(g.oversize ? { oversize:true } : {}) });
+      if(mode!=='size') task.progress(5 + 85*(i+1)/groups.length, { stage:`Writing part ${i+1} of ${groups.length}` });
+    }
+    if(parts.length===1) task.download(parts[0].blob, parts[0].name);
+    else if(!task.quiet){
+      await ensureJSZip(); const zip = new JSZip();
+      parts.forEach(p=>zip.file(p.name, p.blob));
+      downloadBlob(await zip.generateAsync({ type:'blob' }), `${base}-split.zip`);
+    }
+    task.progress(100);
+    return parts;
+  }catch(err){handleError(err, task);throw err}
+}
+
+// rotate a loaded document's pages in place, as rotatePDF describes
+function rotatePages(pdfDoc, rotationAngle, pageRange=''){
+  const { degrees } = PDFLib;
+  const pages = pdfDoc.getPages(); const only = pageRange ? new Set(parsePageRange(pageRange, pages.length)) : null;
+  const angleFor = i=>typeof rotationAngle==='number' ? (!only || only.has(i) ? rotationAngle : 0) : Array.isArray(rotationAngle) ? (rotationAngle[i]||0) : (rotationAngle[i+1]||0);
+  pages.forEach((p,i)=>{const delta = angleFor(i); if(!delta) return; const r = ((p.getRotation?.()?.angle || 0) + delta)%360; p.setRotation(degrees(r<0 ? r+360 : r));});
+  return pdfDoc;
+}
+
+/* 4. rotatePDF(file, rotationAngle, options) - rotate pages by angle (90,180,270). a number rotates every page
+   (or only options.pages, a range string like "1-3,5"); an array gives one angle per page in page order,
+   an object maps 1-based page numbers to angles */
+async function rotatePDF(file, rotationAngle=90, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const array = await readPDF(file); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
+    rotatePages(pdfDoc, rotationAngle, options.pages);
+    const bytes = await pdfDoc.save(); task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+`-rotated.pdf`);
+    return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+async function appendPages(out, doc){
+  (await out.copyPages(doc, doc.getPageIndices())).forEach(p=>out.addPage(p));
+}
+
+// every page of the loaded documents, in order, in one new document
+async function mergeDocuments(docs, task){
+  const out = await PDFLib.PDFDocument.create();
+  for(let i=0;i<docs.length;i++){ await appendPages(out, docs[i]); task.progress(100*(i+1)/docs.length, { stage:`Merging file ${i+1} of ${docs.length}` }); }
+  return out;
+}
+
+/* 5. mergePDFs(files) - array of File objects */
+async function mergePDFs(files, options={}){
+  const task = createTask(options);
+  try{ if(!files||!files.length) throw new Error('No files'); await ensurePdfLib(); task.progress(5);
+    const { PDFDocument } = PDFLib; const out = await PDFDocument.create();
+    // one source document in memory at a time
+    for(let i=0;i<files.length;i++){ await appendPages(out, await PDFDocument.load(await readPDF(files[i]))); task.progress(10+80*(i+1)/files.length, { stage:`Merging file ${i+1} of ${files.length}` }); }
+    const bytes = await out.save(); task.progress(100); task.download(bytes,'merged.pdf'); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* 6. pdfToWord(file, options) - rebuild a PDF as an editable Word document, keeping its layout.
+   each page goes through a layout analysis (see the layout helpers below): PDF.js text items, with their real
+   font names and sizes, are grouped into lines and split at wide gaps; lines whose pieces share column edges
+   become tables, a vertical gutter running between narrow lines makes a band of columns, and lines that follow
+   each other closely in the same style are joined into paragraphs. text clearly larger than the body size is a heading.
+   the .docx keeps each page's size and margins, uses Word section columns for column bands, and writes styled
+   runs (font, size, bold, italic), Word tables and the images embedded in the PDF, at their size and place in the flow.
+   options:
+     includeImages (boolean) : embed the images drawn on each page (default true)
+     forceOCR (boolean)      : OCR every page, even those with a text layer (default false)
+     lang (string)           : OCR language(s) for scanned pages (default 'eng')
+   pages with almost no extractable text are OCRed automatically and the recognised words go through the same
+   analysis; the scanned image itself is then left out so the text isn't duplicated. */
+async function pdfToWord(file, options={}){
+  const task = createTask(options);
+  try {
+    validatePDF(file);
+    task.progress(5);
+
+    const { includeImages = true, forceOCR = false, lang = 'eng' } = options;
+    const pages = await analysePdfPages(await readPDF(file), { includeImages, forceOCR, lang }, task);
+
+    task.progress(90);
+
+    const blob = await createDocxFromLayout(pages);
+
+    task.download(blob, file.name.replace(/\.pdf$/i, '') + '.docx');
+    task.progress(100);
+    return blob;
+  } catch (err) {
+    handleError(err, task);
+    throw err;
+  }
+}
+
+/* ---- PDF layout analysis (used by pdfToWord and the text exports) ---- */
+
+// run the layout analysis over the selected pages (a range string, blank for all) of PDF bytes: returns
+// [{ number, width, height, bands, bounds }] as analysePageLayout describes, in viewport units (points).
+// pages with almost no extractable text, or every page with forceOCR, are OCRed and their recognised words
+// analysed instead; the scan image is then left out so the text isn't duplicated. images carry their
+// encoded bytes and extension ({ data, ext }); JPEG 2000 images are skipped, since Word and browsers can't show them
+async function analysePdfPages(array, { pages:range = '', includeImages = true, forceOCR = false, lang = 'eng' }, task){
+  await ensurePdfLib(); await ensurePdfJs();
+  const pdfDoc = await PDFLib.PDFDocument.load(array);
+  const loading = await openPdfJs(array.slice());
+  const numbers = pagesToSearch(range, loading.numPages);
+  if (!numbers.length) throw new Error('No pages selected');
+  const pages = []; let ocrWorker = null, recognising = null;
+  try {
+    for (let k = 0; k < numbers.length; k++) {
+      const p = numbers[k];
+      const page = await loading.getPage(p);
+      const viewport = page.getViewport({ scale: 1 });
+      let items = await layoutTextItems(page, viewport);
+      const scanned = forceOCR || items.map(i=>i.str).join('').replace(/\s+/g,'').length < 20;
+
+      // scanned page: recognise the words at 2x and feed them to the same layout analysis
+      if (scanned) {
+        if (!ocrWorker) ocrWorker = await createOcrWorker(lang, f=>recognising && recognising(f));
+        recognising = f=>task.progress(5 + 80 * (k + f) / numbers.length, { stage:'Recognising text', page:k+1, pages:numbers.length });
+        const canvas = await renderPageToCanvas(page, 2);
+        const { data } = await ocrWorker.recognize(await ocrSource(canvas));
+        items = ocrLayoutItems(data.words || [], canvas.width / viewport.width);
+        canvas.width = canvas.height = 0;
+      }
+
+      const images = [];
+      if (includeImages) {
+        const placements = pageImagePlacements(pdfDoc, pdfDoc.getPage(p - 1)).map(({ stream, box })=>{
+          const [a, b, c, d] = viewport.convertToViewportRectangle([box.x0, box.y0, box.x1, box.y1]);
+          return { stream, x0: Math.min(a, c), x1: Math.max(a, c), top: Math.min(b, d), bottom: Math.max(b, d) };
+        }).filter(im=>im.x1 - im.x0 >= 4 && im.bottom - im.top >= 4 && !(scanned && (im.x1 - im.x0) * (im.bottom - im.top) > 0.6 * viewport.width * viewport.height));
+        for (const { stream, ...im } of placements) {
+          try {
+            const encoded = await encodeImageXObject(pdfDoc.context, stream);
+            if (encoded && encoded.ext !== 'jp2') images.push({ ...im, ...encoded });
+          } catch (e) { console.warn('Skipping image on page', p, e); }
+        }
+      }
+
+      pages.push({ number: p, width: viewport.width, height: viewport.height, ...analysePageLayout(items, images, viewport.width) });
+      page.cleanup();
+      task.progress(5 + 80 * (k + 1) / numbers.length, { stage:'Analysing layout', page:k+1, pages:numbers.length });
+    }
+  } finally {
+    if (ocrWorker) await ocrWorker.terminate();
+  }
+  return pages;
+}
+
+const WORD_FONT_ALIASES = { helvetica:'Arial', arial:'Arial', 'sans-serif':'Arial', times:'Times New Roman', timesroman:'Times New Roman',
+  timesnewroman:'Times New Roman', serif:'Times New Roman', courier:'Courier New', couriernew:'Courier New', monospace:'Courier New' };
+
+// a PDF font name ('ABCDEF+TimesNewRomanPS-BoldItalicMT') as a family Word knows ('Times New Roman');
+// undefined for PDF.js's internal ids, leaving Word's default font
+function wordFontFamily(name){
+  const base = String(name||'').replace(/^[A-Z]{6}\+/,'').split(/[-,]/)[0].replace(/(PSMT|PS|MT)$/,'');
+  if(!base || /^g_d\d/.test(base)) return undefined;
+  return WORD_FONT_ALIASES[base.toLowerCase().replace(/\s+/g,'')] || base.replace(/([a-z])([A-Z])/g,'$1 $2');
+}
+
+// text items of a page in viewport space (y grows downwards): [{ str, x0, x1, top, base, size, font, bold, italic }].
+// the operator list makes PDF.js load the fonts, which carry the real font names; without them the generic
+// family from the text content styles is used
+async function layoutTextItems(page, viewport){
+  const [content] = await Promise.all([page.getTextContent(), page.getOperatorList()]);
+  const faces = new Map();
+  const face = id=>{
+    if(!faces.has(id)){
+      let name = '';
+      try{ name = page.commonObjs.get(id).name || ''; }catch(e){ name = (content.styles[id] && content.styles[id].fontFamily) || ''; }
+      faces.set(id, { font: wordFontFamily(name), bold: /bold|black|heavy|semibold|demi/i.test(name), italic: /italic|oblique/i.test(name) });
+    }
+    return faces.get(id);
+  };
+  return content.items.filter(i=>i.str && i.str.trim()).map(i=>{
+    const tx = pdfjsLib.Util.transform(viewport.transform, i.transform);
+    const size = Math.hypot(tx[2], tx[3]) || Math.abs(i.height) || 10;
+    return { str: i.str, x0: tx[4], x1: tx[4] + i.width * viewport.scale, top: tx[5] - size*0.8, base: tx[5], size, ...face(i.fontName) };
+  });
+}
+
+// Tesseract words as layout items, from a render at the given scale. the font size is estimated from the
+// height of the word's line, which includes ascenders and descenders
+function ocrLayoutItems(words, scale){
+  return words.filter(w=>w.text && w.text.trim()).map(w=>{
+    const { x0, y0, x1, y1 } = w.bbox; const line = w.line && w.line.bbox;
+    const size = (line ? (line.y1 - line.y0)/1.15 : y1 - y0) / scale;
+    const base = (w.baseline && w.baseline.y0 > y0 ? Math.max(w.baseline.y0, w.baseline.y1) : y1) / scale;
+    return { str: w.text, x0: x0/scale, x1: x1/scale, top: y0/scale, base, size, font: undefined, bold: !!w.is_bold, italic: !!w.is_italic };
+  });
+}
+
+const runStyle = r=>[r.font, r.bold, r.italic, Math.round(r.size*2)].join('|');
+
+// lines are items sharing a baseline; each line is cut into segments wherever the gap is wider than the text
+// is tall. a segment is { x0, x1, top, base, size, text, runs:[{ text, font, size, bold, italic }] }, where
+// neighbouring items in the same style share a run; returns the lines as arrays of segments, top to bottom
+function layoutLines(items){
+  const lines = [];
+  items.slice().sort((a,b)=>a.base - b.base || a.x0 - b.x0).forEach(it=>{
+    const line = lines.find(l=>Math.abs(l.base - it.base) < Math.max(2, Math.min(l.size, it.size)*0.4));
+    if(line){ line.items.push(it); line.size = Math.max(line.size, it.size); } else lines.push({ base: it.base, size: it.size, items:[it] });
+  });
+  return lines.sort((a,b)=>a.base - b.base).map(line=>{
+    const segments = []; let seg = null;
+    line.items.sort((a,b)=>a.x0 - b.x0).forEach(it=>{
+      const gap = seg ? it.x0 - seg.x1 : Infinity;
+      if(gap > Math.max(it.size*1.3, 5)){ seg = { x0: it.x0, x1: it.x1, top: it.top, base: line.base, size: it.size, runs:[] }; segments.push(seg); }
+      const last = seg.runs[seg.runs.length-1];
+      let text = it.str;
+      if(last && gap > it.size*0.15 && !/\s$/.test(last.text) && !/^\s/.test(text)) text = ' '+text;
+      if(last && runStyle(last)===runStyle(it)) last.text += text; else seg.runs.push({ text, font: it.font, size: it.size, bold: it.bold, italic: it.italic });
+      seg.x1 = Math.max(seg.x1, it.x1); seg.top = Math.min(seg.top, it.top); seg.size = Math.max(seg.size, it.size);
+    });
+    segments.forEach(s=>{ s.runs[0].text = s.runs[0].text.trimStart(); s.runs[s.runs.length-1].text = s.runs[s.runs.length-1].text.trimEnd(); s.runs = s.runs.filter(r=>r.text); s.text = s.runs.map(r=>r.text).join(''); });
+    return segments.filter(s=>s.text);
+  }).filter(l=>l.length);
+}
+
+// merge [x0, x1] intervals that overlap (or nearly touch) into column spans
+function mergeSpans(spans, slack){
+  const out = [];
+  spans.slice().sort((a,b)=>a[0] - b[0]).forEach(([a,b])=>{ const last = out[out.length-1]; if(last && a <= last[1] + slack) last[1] = Math.max(last[1], b); else out.push([a,b]); });
+  return out;
+}
+
+// runs of consecutive lines with two or more segments whose segments line up on shared column spans.
+// two wide spans filled edge to edge are prose columns, not a table, and are left for the column pass
+function findTables(lines, textWidth){
+  const tables = []; let run = [];
+  const flush = ()=>{
+    if(run.length >= 2){
+      const size = Math.max(...run.flat().map(s=>s.size));
+      const spans = mergeSpans(run.flat().map(s=>[s.x0, s.x1]), size*0.5);
+      const fill = run.flat().reduce((n,s)=>n + (s.x1 - s.x0), 0) / run.flat().reduce((n,s)=>n + spans.find(sp=>s.x0 >= sp[0]-1 && s.x0 <= sp[1]).reduce((a,b)=>b-a), 0);
+      const prose = spans.length===2 && spans.every(sp=>sp[1]-sp[0] > textWidth*0.3) && fill > 0.6;
+      if(spans.length >= 2 && !prose && (run.length >= 3 || spans.length >= 3)){
+        const rows = run.map(line=>spans.map(sp=>line.filter(s=>s.x0 >= sp[0]-1 && s.x0 <= sp[1])));
+        tables.push({ kind:'table', lines: run, spans, rows, top: Math.min(...run[0].map(s=>s.top)), bottom: Math.max(...run[run.length-1].map(s=>s.base + s.size*0.25)),
+          x0: spans[0][0], x1: spans[spans.length-1][1] });
+      }
+    }
+    run = [];
+  };
+  lines.forEach(line=>{
+    const prev = run[run.length-1];
+    const close = prev && line[0].base - prev[0].base < Math.max(...line.map(s=>s.size))*3;
+    if(line.length >= 2 && (close || !run.length)) run.push(line);
+    else { flush(); if(line.length >= 2) run.push(line); }
+  });
+  flush();
+  return tables;
+}
+
+// a vertical gutter: an empty strip at least gap wide between narrow segments, with a few of them on each side
+function findGutters(segments, x0, x1, gap){
+  const narrow = segments.filter(s=>s.x1 - s.x0 < (x1 - x0)*0.55);
+  if(narrow.length < 6) return [];
+  const empty = []; let last = x0;
+  mergeSpans(narrow.map(s=>[s.x0, s.x1]), 0).forEach(([a,b])=>{ if(a - last >= gap) empty.push([last, a]); last = Math.max(last, b); });
+  return empty.filter(([a,b])=>a > x0 && narrow.filter(s=>s.x1 <= a).length >= 3 && narrow.filter(s=>s.x0 >= b).length >= 3);
+}
+
+const BULLET_RE = /^[•▪●◦–⁃\-\*]\s+/;
+
+// consecutive lines become one paragraph while they sit close together and share a style, unless the previous
+// line stopped short with room left for the next line's first word (so it was ended on purpose, not wrapped);
+// returns [{ kind:'paragraph', runs, top, bottom, x0, x1, size, align, bullet }]
+function buildParagraphs(segments, left, right){
+  const paras = []; let cur = null;
+  const bold = s=>s.runs.every(r=>r.bold);
+  segments.forEach(seg=>{
+    const prev = cur && cur.segments[cur.segments.length-1];
+    const join = prev && seg.top - prev.base < prev.size*0.9 && seg.top - prev.base > -prev.size*0.5
+      && Math.abs(seg.size - prev.size) < 1 && bold(seg)===bold(prev) && !BULLET_RE.test(seg.text)
+      && right - prev.x1 < (seg.text.split(/\s/)[0].length + 1)*seg.size*0.5 && seg.x0 < cur.x0 + seg.size*3;
+    if(join){
+      const last = cur.runs[cur.runs.length-1], first = seg.runs[0];
+      // undo end-of-line hyphenation, otherwise the line break becomes a space
+      const hyphen = /[a-z]-$/.test(last.text) && /^[a-z]/.test(first.text);
+      if(hyphen) last.text = last.text.slice(0, -1);
+      seg.runs.forEach((r,i)=>{ const text = i===0 && !hyphen ? ' '+r.text : r.text; const tail = cur.runs[cur.runs.length-1];
+        if(runStyle(tail)===runStyle(r)) tail.text += text; else cur.runs.push({ ...r, text }); });
+      cur.segments.push(seg); cur.bottom = seg.base + seg.size*0.25; cur.x0 = Math.min(cur.x0, seg.x0); cur.x1 = Math.max(cur.x1, seg.x1);
+    } else {
+      cur = { kind:'paragraph', segments:[seg], runs: seg.runs.map(r=>({ ...r })), top: seg.top, bottom: seg.base + seg.size*0.25, x0: seg.x0, x1: seg.x1, size: seg.size };
+      paras.push(cur);
+    }
+  });
+  paras.forEach(p=>{
+    const mid = (left + right)/2, centred = p.segments.every(s=>Math.abs((s.x0 + s.x1)/2 - mid) < s.size && s.x0 - left > s.size*2);
+    p.align = centred ? 'center' : p.segments.length===1 && p.x1 > right - p.size && p.x0 - left > (right - left)*0.3 ? 'right' : 'left';
+    const m = BULLET_RE.exec(p.runs[0].text);
+    if(m){ p.bullet = true; p.runs[0].text = p.runs[0].text.slice(m[0].length); }
+    delete p.segments;
+  });
+  return paras;
+}
+
+// paragraphs, tables and images of one flow (the full width, or one column), in reading order
+function flowBlocks(segments, tables, images, left, right){
+  return buildParagraphs(segments, left, right).concat(tables, images.map(im=>({ kind:'image', ...im }))).sort((a,b)=>a.top - b.top);
+}
+
+// the page as bands from top to bottom, each { columns:[blocks...], gutters, top, bottom }: one column for
+// ordinary flow, several where a gutter splits the text. also returns the content bounds, for the margins
+function analysePageLayout(items, images, pageWidth){
+  const lines = layoutLines(items); const segments = lines.flat();
+  const all = segments.concat(images);
+  if(!all.length) return { bands:[], bounds:null };
+  const x0 = Math.min(...all.map(b=>b.x0)), x1 = Math.max(...all.map(b=>b.x1));
+  const bounds = { x0, x1, top: Math.min(...all.map(b=>b.top)), bottom: Math.max(...all.map(b=>b.bottom || b.base + b.size*0.25)) };
+  const tables = findTables(lines, x1 - x0); const inTable = new Set(tables.flatMap(t=>t.lines.flat()));
+  const body = segments.filter(s=>!inTable.has(s));
+  const sizes = body.map(s=>s.size); const gap = Math.max(8, sizes.length ? sizes.sort((a,b)=>a-b)[sizes.length>>1] : 10);
+  const gutters = findGutters(body, x0, x1, gap);
+  const crosses = b=>gutters.some(([a,c])=>b.x0 < a && b.x1 > c);
+  // walk everything top to bottom; anything crossing a gutter ends the current band of columns
+  const pieces = body.map(s=>({ kind:'segment', s, top: s.top, x0: s.x0, x1: s.x1 })).concat(tables.map(t=>({ kind:'table', t, top: t.top, x0: t.x0, x1: t.x1 })), images.map(im=>({ kind:'image', im, top: im.top, x0: im.x0, x1: im.x1 }))).sort((a,b)=>a.top - b.top);
+  const groups = [];
+  pieces.forEach(p=>{
+    const wide = !gutters.length || crosses(p); const last = groups[groups.length-1];
+    if(last && last.wide===wide) last.pieces.push(p); else groups.push({ wide, pieces:[p] });
+  });
+  const edges = [x0].concat(gutters.flat(), [x1]);
+  const bands = groups.map(g=>{
+    const parts = g.wide ? [g.pieces] : gutters.concat([[x1, x1]]).map((gt,i)=>g.pieces.filter(p=>p.x0 >= edges[2*i] - 1 && p.x0 < gt[0]));
+    const columns = parts.map((ps,i)=>{
+      const left = g.wide ? x0 : edges[2*i], right = g.wide ? x1 : edges[2*i+1];
+      return flowBlocks(ps.filter(p=>p.kind==='segment').map(p=>p.s), ps.filter(p=>p.kind==='table').map(p=>p.t), ps.filter(p=>p.kind==='image').map(p=>p.im), left, right);
+    });
+    const blocks = columns.flat();
+    return { columns, gutters: g.wide ? [] : gutters, top: Math.min(...blocks.map(b=>b.top)), bottom: Math.max(...blocks.map(b=>b.bottom)) };
+  });
+  return { bands, bounds };
+}
+
+// every Image XObject drawn on a page with the box it lands in ({ stream, box:{ x0, y0, x1, y1 } } in user space),
+// following q/Q/cm and descending into Form XObjects with their Matrix and Resources
+function pageImagePlacements(pdfDoc, page){
+  const { PDFName, PDFDict, PDFRawStream, decodePDFRawStream } = PDFLib; const context = pdfDoc.context; const found = [];
+  const walk = (bytes, resources, ctm, depth)=>{
+    const xobjects = resources instanceof PDFDict ? resources.lookup(PDFName.of('XObject')) : null; const stack = [];
+    for(const { op, operands:a } of parseContentStream(bytes)){
+      if(op==='q') stack.push(ctm);
+      else if(op==='Q') ctm = stack.pop() || ctm;
+      else if(op==='cm' && a.length===6) ctm = multiplyMatrix(a, ctm);
+      else if(op==='Do' && xobjects instanceof PDFDict){
+        const xobject = xobjects.lookup(PDFName.of(String(a[0]||'').slice(1)));
+        if(!(xobject instanceof PDFRawStream)) continue;
+        const subtype = decodePdfValue(xobject.dict.get(PDFName.of('Subtype')));
+        if(subtype==='Image') found.push({ stream: xobject, box: transformBox(ctm, 0, 0, 1, 1) });
+        else if(subtype==='Form' && depth < 8){
+          const matrix = xobject.dict.lookup(PDFName.of('Matrix'));
+          const fm = matrix ? matrix.asArray().map(x=>context.lookup(x).asNumber()) : [1,0,0,1,0,0];
+          walk(decodePDFRawStream(xobject).decode(), xobject.dict.lookup(PDFName.of('Resources')) || resources, multiplyMatrix(fm, ctm), depth+1);
+        }
+      }
+    }
+  };
+  walk(getPageContentBytes(pdfDoc, page), page.node.Resources(), [1,0,0,1,0,0], 0);
+  return found;
+}
+
+// the body text size (the size most characters are set in) and the heading level for larger sizes:
+// the biggest size used by short paragraphs is Heading 1, the next Heading 2, anything else Heading 3
+function headingLevels(pages){
+  const weights = new Map(); const paras = pages.flatMap(p=>p.bands.flatMap(b=>b.columns.flat())).filter(b=>b.kind==='paragraph');
+  paras.forEach(p=>p.runs.forEach(r=>{ const k = Math.round(r.size*2)/2; weights.set(k, (weights.get(k)||0) + r.text.length); }));
+  const body = [...weights.entries()].sort((a,b)=>b[1] - a[1])[0]?.[0] || 10;
+  const sizes = [...new Set(paras.filter(p=>p.size >= body*1.15 && p.runs.reduce((n,r)=>n + r.text.length, 0) <= 200).map(p=>Math.round(p.size*2)/2))].sort((a,b)=>b-a);
+  return size=>{ const i = sizes.indexOf(Math.round(size*2)/2); return i < 0 ? 0 : Math.min(i+1, 3); };
+}
+
+// write the analysed pages with the docx 7 API: one section per band, so every page keeps its size and
+// margins and column bands become Word columns (with a column break between them)
+async function createDocxFromLayout(pages){
+  await ensureDocx();
+  const { Document, Packer, Paragraph, TextRun, ImageRun, Table, TableRow, TableCell, WidthType, HeadingLevel, SectionType, ColumnBreak, AlignmentType } = window.docx;
+  const twips = pt=>Math.max(0, Math.round(pt*20)); const level = headingLevels(pages);
+  const headings = [null, HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3];
+  const textRuns = runs=>runs.map(r=>new TextRun({ text: r.text, bold: r.bold, italics: r.italic, size: Math.max(2, Math.round(r.size*2)), font: r.font }));
+  const sections = [];
+  pages.forEach((page, pi)=>{
+    const b = page.bounds || { x0:72, x1: page.width - 72, top:72, bottom: page.height - 72 };
+    const clamp = v=>Math.min(90, Math.max(18, v));
+    const margin = { left: twips(clamp(b.x0)), right: twips(clamp(page.width - b.x1)), top: twips(clamp(b.top)), bottom: twips(clamp(page.height - b.bottom)) };
+    const width = page.width - clamp(b.x0) - clamp(page.width - b.x1);
+    const bands = page.bands.length ? page.bands : [{ columns:[[]], gutters:[], top:0, bottom:0 }];
+    let y = b.top;
+    bands.forEach((band, bi)=>{
+      const children = [];
+      band.columns.forEach((blocks, ci)=>{
+        const colWidth = band.columns.length > 1 ? (width - band.gutters.reduce((n,[a,c])=>n + c - a, 0)) / band.columns.length : width;
+        blocks.forEach(block=>{
+          const before = twips(Math.min(36, Math.max(0, block.top - y))); y = Math.max(y, block.bottom);
+          if(block.kind==='paragraph'){
+            const heading = headings[level(block.size)];
+            children.push(new Paragraph({ children: textRuns(block.runs), ...(heading ? { heading } : {}), ...(block.bullet ? { bullet:{ level:0 } } : {}),
+              alignment: block.align==='center' ? AlignmentType.CENTER : block.align==='right' ? AlignmentType.RIGHT : AlignmentType.LEFT, spacing:{ before, after:0 } }));
+          } else if(block.kind==='table'){
+            const widths = block.spans.map(([a,c], i)=>twips((i+1 < block.spans.length ? block.spans[i+1][0] : c) - a));
+            children.push(new Table({ width:{ size: widths.reduce((n,w)=>n + w, 0), type: WidthType.DXA }, columnWidths: widths,
+              rows: block.rows.map(cells=>new TableRow({ children: cells.map((segs, i)=>new TableCell({ width:{ size: widths[i], type: WidthType.DXA },
+                children:[new Paragraph({ children: textRuns(segs.flatMap((s,k)=>k ? [{ ...s.runs[0], text:' ' }].concat(s.runs) : s.runs)) })] })) })) }));
+          } else if(block.kind==='image'){
+            // docx sizes images in pixels at 96 dpi; never wider than the column
+            const w = block.x1 - block.x0, h = block.bottom - block.top, fit = Math.min(1, colWidth / w);
+            children.push(new Paragraph({ children:[new ImageRun({ data: block.data, transformation:{ width: Math.round(w*fit*96/72), height: Math.round(h*fit*96/72) } })], spacing:{ before, after:0 } }));
+          }
+        });
+        // end every column but the last with a column break
+        if(ci < band.columns.length - 1) children.push(new Paragraph({ children:[new ColumnBreak()] }));
+        if(band.columns.length > 1 && ci < band.columns.length - 1) y = band.top;
+      });
+      if(!children.length) children.push(new Paragraph({ children:[] }));
+      sections.push({ properties:{
+        type: bi===0 ? (pi===0 ? undefined : SectionType.NEXT_PAGE) : SectionType.CONTINUOUS,
+        page:{ size:{ width: twips(page.width), height: twips(page.height) }, margin },
+        ...(band.columns.length > 1 ? { column:{ count: band.columns.length, space: twips(band.gutters[0][1] - band.gutters[0][0]), equalWidth: true } } : {})
+      }, children });
+    });
+  });
+  return await Packer.toBlob(new Document({ sections }));
+}
+
+// text segments with geometry (used for search and redaction): items on the same baseline are split into
+// segments wherever the horizontal gap is wider than the text height, and each segment carries
+// its user-space box ({ x0, y0, x1, y1 }) plus the viewport position of its origin. each item
+// records its offset into the segment text, so a substring can be mapped back to a position.
+async function extractTextSegments(page, viewport = page.getViewport({ scale: 1 })){
+  const content = await page.getTextContent();
+  const items = content.items.filter(i=>i.str && i.str.trim()).map(i=>({
+    str: i.str, x: i.transform[4], y: i.transform[5], w: i.width, h: Math.abs(i.height) || Math.hypot(i.transform[2], i.transform[3])
+  }));
+  const lines = [];
+  items.forEach(it=>{
+    const found = lines.find(l=>Math.abs(l.y - it.y) < Math.max(2, it.h*0.3));
+    if(found) found.items.push(it); else lines.push({ y: it.y, items:[it] });
+  });
+  const segments = [];
+  lines.forEach(l=>{
+    l.items.sort((a,b)=>a.x - b.x);
+    let seg = null;
+    l.items.forEach(it=>{
+      const gap = seg ? it.x - seg.x1 : Infinity;
+      if(gap > Math.max(it.h, 4)){ it.offset = 0; seg = { text: it.str, x0: it.x, x1: it.x + it.w, y0: it.y - it.h*0.25, y1: it.y + it.h, items:[it] }; segments.push(seg); }
+      else { seg.text += gap > it.h*0.15 ? ' ' : ''; it.offset = seg.text.length; seg.text += it.str; seg.x1 = Math.max(seg.x1, it.x + it.w); seg.y0 = Math.min(seg.y0, it.y - it.h*0.25); seg.y1 = Math.max(seg.y1, it.y + it.h); seg.items.push(it); }
+    });
+  });
+  segments.forEach(s=>{ const lead = s.text.length - s.text.trimStart().length; s.text = s.text.trim(); s.items.forEach(it=>{ it.offset -= lead; }); const [vx, vy] = viewport.convertToViewportPoint(s.x0, s.items[0].y); s.vx = vx / viewport.width; s.vy = vy / viewport.height; });
+  return segments;
+}
+
+// load tesseract.js only when needed; this is used for OCR on scanned pages
+async function ensureTesseract(){
+  return await loadLibrary('tesseract');
+}
+
+// Tesseract's worker, wasm core and language data follow the library: from vendor/tesseract and vendor/tessdata
+// when it was loaded locally and every requested language is there, otherwise from the CDN defaults
+async function tesseractPaths(source, lang){
+  if(source!=='local') return {};
+  const base = ASSET_BASE + 'vendor/';
+  // corePath is a directory so Tesseract can pick the SIMD build where the browser supports it
+  const paths = { workerPath: base+'tesseract/worker.min.js', corePath: base+'tesseract' };
+  const local = await Promise.all(lang.split('+').map(l=>fetch(`${base}tessdata/${l}.traineddata.gz`, { method:'HEAD' }).then(r=>r.ok, ()=>false)));
+  if(local.every(Boolean)) paths.langPath = base+'tessdata';
+  else console.warn(`OCR language data for ${lang} is not hosted locally, fetching it from the CDN`);
+  return paths;
+}
+
+// start a Tesseract worker for lang ('eng', or several joined with '+', e.g. 'eng+deu'); onProgress gets the
+// fraction (0-1) of the page being recognised, Tesseract's other status messages are dropped. The logger runs from
+// Tesseract's message handler, so a cancellation thrown by onProgress is left for the caller's next progress call
+async function createOcrWorker(lang='eng', onProgress=null){
+  if(!/^[a-z_]{3,}(\+[a-z_]{3,})*$/i.test(lang)) throw new Error('Invalid OCR language: '+lang);
+  const source = await ensureTesseract();
+  const logger = m=>{ if(onProgress && m.status==='recognizing text') try{ onProgress(m.progress); }catch(e){} };
+  const worker = await Tesseract.createWorker({ ...(await tesseractPaths(source, lang)), logger });
+  await worker.load();
+  await worker.loadLanguage(lang);
+  await worker.initialize(lang);
+  return worker;
+}
+
+// Tesseract reads <canvas> elements but not OffscreenCanvas, so pages rendered in the worker go over as PNG
+async function ocrSource(canvas){
+  return IN_WORKER ? await canvasToBlob(canvas) : canvas;
+}
+
+/* ---- DOCX parsing and text layout (used by wordToPDF) ---- */
+
+const UNICODE_FONT_URLS = [
+  ASSET_BASE + 'vendor/fonts/NotoSans-Regular.ttf',
+  'https://cdn.jsdelivr.net/gh/google/fonts@main/apache/roboto/Roboto-Regular.ttf',
+  'https://cdn.jsdelivr.net/gh/google/fonts@main/ofl/noto/NotoSans-Regular.ttf',
+  'https://github.com/dejavu-fonts/dejavu-fonts/raw/master/ttf/DejaVuSans.ttf'
+];
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+// characters the standard 14 fonts can encode besides Latin-1
+const WINANSI_EXTRA = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+const DOCX_HEADING_SIZES = { 0:24, 1:20, 2:16, 3:14, 4:12, 5:12, 6:12 };
+
+// pdf-lib needs fontkit registered before it can embed TrueType fonts
+async function ensureFontkit(){
+  await loadLibrary('fontkit');
+}
+
+// try to embed a Unicode-capable font for text outside WinAnsi; returns null if none could be fetched
+async function embedUnicodeFont(pdfDoc){
+  try{ await ensureFontkit(); pdfDoc.registerFontkit(window.fontkit); }
+  catch(e){ console.warn('fontkit unavailable, non-Latin text will be replaced', e); return null; }
+  for(const url of UNICODE_FONT_URLS){
+    try{
+      const res = await fetch(url);
+      if(!res.ok) continue;
+      return await pdfDoc.embedFont(await res.arrayBuffer(), { subset:true });
+    }catch(e){ console.warn('Font fetch failed for', url, e); }
+  }
+  return null;
+}
+
+function isWinAnsi(ch){
+  const c = ch.charCodeAt(0);
+  return (c>=0x20 && c<=0x7e) || (c>=0xa0 && c<=0xff) || WINANSI_EXTRA.includes(ch);
+}
+
+function toRoman(n){
+  if(n<=0) return String(n);
+  const table = [[1000,'m'],[900,'cm'],[500,'d'],[400,'cd'],[100,'c'],[90,'xc'],[50,'l'],[40,'xl'],[10,'x'],[9,'ix'],[5,'v'],[4,'iv'],[1,'i']];
+  let out = ''; for(const [v,s] of table) while(n>=v){ out += s; n -= v; }
+  return out;
+}
+
+// 1 -> a, 26 -> z, 27 -> aa (the spreadsheet-style sequence Word uses for letter lists)
+function toLetters(n){
+  let out = ''; while(n>0){ n--; out = String.fromCharCode(97 + n%26) + out; n = Math.floor(n/26); }
+  return out;
+}
+
+// convert any browser-decodable image (GIF, BMP, WebP, ...) to PNG bytes via a canvas
+async function imageBytesToPng(bytes, type){
+  const bitmap = await createImageBitmap(new Blob([bytes], { type }));
+  const canvas = createCanvas(bitmap.width, bitmap.height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0); bitmap.close();
+  return new Uint8Array(await (await canvasToBlob(canvas, 'image/png')).arrayBuffer());
+}
+
+const wEls = (el, name)=>el ? Array.from(el.children).filter(c=>c.localName===name) : [];
+const wEl = (el, name)=>wEls(el, name)[0] || null;
+const wAttr = (el, name)=>el ? (el.getAttributeNS(W_NS, name) ?? el.getAttribute('w:'+name)) : null;
+const wToggle = el=>!!el && !['0','false','off'].includes(wAttr(el,'val'));
+const twipsToPt = v=>Number(v)/20;
+
+function readRunProps(rPr){
+  const props = {};
+  if(!rPr) return props;
+  if(wEl(rPr,'b')) props.bold = wToggle(wEl(rPr,'b'));
+  if(wEl(rPr,'i')) props.italic = wToggle(wEl(rPr,'i'));
+  if(wEl(rPr,'u')) props.underline = wAttr(wEl(rPr,'u'),'val') !== 'none';
+  if(wEl(rPr,'sz')) props.size = Number(wAttr(wEl(rPr,'sz'),'val'))/2;
+  if(wEl(rPr,'rStyle')) props.style = wAttr(wEl(rPr,'rStyle'),'val');
+  return props;
+}
+
+function readParagraphProps(pPr){
+  const props = {};
+  if(!pPr) return props;
+  const jc = wAttr(wEl(pPr,'jc'),'val'); if(jc) props.align = jc==='center' ? 'center' : (jc==='right' || jc==='end') ? 'right' : 'left';
+  const numPr = wEl(pPr,'numPr');
+  if(numPr) props.numPr = { numId: wAttr(wEl(numPr,'numId'),'val'), ilvl: Number(wAttr(wEl(numPr,'ilvl'),'val') || 0) };
+  const outline = wAttr(wEl(pPr,'outlineLvl'),'val'); if(outline!=null) props.outline = Number(outline);
+  const spacing = wEl(pPr,'spacing');
+  if(spacing){ const b = wAttr(spacing,'before'), a = wAttr(spacing,'after'); if(b!=null) props.before = twipsToPt(b); if(a!=null) props.after = twipsToPt(a); }
+  const ind = wEl(pPr,'ind');
+  if(ind){ const left = wAttr(ind,'left') ?? wAttr(ind,'start'); if(left!=null) props.indent = twipsToPt(left); }
+  if(wEl(pPr,'pageBreakBefore')) props.pageBreakBefore = wToggle(wEl(pPr,'pageBreakBefore'));
+  return props;
+}
+
+// styles.xml -> { styleId: { heading, pPr, rPr } } with basedOn chains flattened, plus the default run size
+function parseDocxStyles(xml){
+  const styles = {}; let defaultSize = 11;
+  if(!xml) return { styles, defaultSize };
+  const root = new DOMParser().parseFromString(xml, 'application/xml').documentElement;
+  const defSz = wEl(wEl(wEl(wEl(root,'docDefaults'),'rPrDefault'),'rPr'),'sz');
+  if(defSz) defaultSize = Number(wAttr(defSz,'val'))/2;
+  const raw = {};
+  wEls(root,'style').forEach(st=>{
+    const id = wAttr(st,'styleId'); if(!id) return;
+    raw[id] = { name: (wAttr(wEl(st,'name'),'val') || '').toLowerCase(), basedOn: wAttr(wEl(st,'basedOn'),'val'), pPr: readParagraphProps(wEl(st,'pPr')), rPr: readRunProps(wEl(st,'rPr')) };
+  });
+  const resolve = (id, depth=0)=>{
+    const st = raw[id]; if(!st || depth>10) return { pPr:{}, rPr:{} };
+    const base = st.basedOn ? resolve(st.basedOn, depth+1) : { pPr:{}, rPr:{} };
+    return { name: st.name, pPr: { ...base.pPr, ...st.pPr }, rPr: { ...base.rPr, ...st.rPr } };
+  };
+  Object.keys(raw).forEach(id=>{
+    const st = resolve(id); const m = st.name.match(/^heading (\d)$/);
+    const heading = st.name==='title' ? 0 : m ? Number(m[1]) : st.pPr.outline!=null && st.pPr.outline<9 ? st.pPr.outline+1 : null;
+    styles[id] = { ...st, heading };
+  });
+  return { styles, defaultSize };
+}
+
+// numbering.xml -> { numId: [ { fmt, text, start } per level ] }
+function parseDocxNumbering(xml){
+  const nums = {};
+  if(!xml) return nums;
+  const root = new DOMParser().parseFromString(xml, 'application/xml').documentElement;
+  const abstracts = {};
+  wEls(root,'abstractNum').forEach(a=>{
+    const levels = [];
+    wEls(a,'lvl').forEach(l=>{ levels[Number(wAttr(l,'ilvl'))] = { fmt: wAttr(wEl(l,'numFmt'),'val') || 'decimal', text: wAttr(wEl(l,'lvlText'),'val') ?? '%1.', start: Number(wAttr(wEl(l,'start'),'val') || 1) }; });
+    abstracts[wAttr(a,'abstractNumId')] = levels;
+  });
+  wEls(root,'num').forEach(n=>{ nums[wAttr(n,'numId')] = abstracts[wAttr(wEl(n,'abstractNumId'),'val')] || []; });
+  return nums;
+}
+
+function formatListNumber(n, fmt){
+  if(fmt==='lowerLetter') return toLetters(n);
+  if(fmt==='upperLetter') return toLetters(n).toUpperCase();
+  if(fmt==='lowerRoman') return toRoman(n);
+  if(fmt==='upperRoman') return toRoman(n).toUpperCase();
+  return String(n);
+}
+
+// unzip-free part of the parser: turn document.xml into blocks
+// paragraph: { type:'paragraph', runs:[{ text, bold, italic, underline, size } | { image }], align, heading, list, before, after, indent, pageBreakBefore }
+// table:     { type:'table', grid:[pt], rows:[[{ span, blocks }]] }
+async function parseDocx(zip){
+  const read = path=>zip.file(path) ? zip.file(path).async('string') : Promise.resolve(null);
+  const xml = await read('word/document.xml');
+  if(!xml) throw new Error('Not a Word document: word/document.xml is missing');
+  const { styles, defaultSize } = parseDocxStyles(await read('word/styles.xml'));
+  const numbering = parseDocxNumbering(await read('word/numbering.xml'));
+  const rels = {};
+  const relsXml = await read('word/_rels/document.xml.rels');
+  if(relsXml) Array.from(new DOMParser().parseFromString(relsXml,'application/xml').getElementsByTagName('Relationship')).forEach(r=>{ rels[r.getAttribute('Id')] = r.getAttribute('Target'); });
+  const images = {};
+  const loadImage = async id=>{
+    if(!rels[id]) return null;
+    if(!(id in images)){
+      const target = rels[id].replace(/^\//,''); const path = target.startsWith('word/') ? target : 'word/'+target;
+      const f = zip.file(path); images[id] = f ? { bytes: await f.async('uint8array'), ext: path.split('.').pop().toLowerCase() } : null;
+    }
+    return images[id];
+  };
+  const counters = {};
+
+  const collectRuns = async (el, runs, inherited)=>{
+    for(const child of Array.from(el.children)){
+      const name = child.localName;
+      if(name==='r'){
+        const rPr = wEl(child,'rPr'); const own = readRunProps(rPr);
+        const props = { ...inherited, ...(own.style && styles[own.style] ? styles[own.style].rPr : {}), ...own };
+        for(const c of Array.from(child.children)){
+          const n = c.localName;
+          if(n==='t') runs.push({ ...props, text: c.textContent });
+          else if(n==='tab') runs.push({ ...props, text: '    ' });
+          else if(n==='br' || n==='cr'){ if(wAttr(c,'type')==='page') runs.push({ pageBreak:true }); else runs.push({ ...props, text:'\n' }); }
+          else if(n==='noBreakHyphen') runs.push({ ...props, text:'-' });
+          else if(n==='drawing' || n==='pict'){
+            const blip = c.getElementsByTagNameNS('*','blip')[0] || c.getElementsByTagNameNS('*','imagedata')[0];
+            const id = blip && (blip.getAttributeNS(R_NS,'embed') || blip.getAttributeNS(R_NS,'id') || blip.getAttribute('r:embed') || blip.getAttribute('r:id'));
+            const extent = c.getElementsByTagNameNS('*','extent')[0];
+            const image = id && await loadImage(id);
+            if(image) runs.push({ image: { ...image, width: extent ? Number(extent.getAttribute('cx'))/12700 : null, height: extent ? Number(extent.getAttribute('cy'))/12700 : null } });
+          }
+        }
+      } else if(['hyperlink','ins','smartTag','fldSimple','customXml'].includes(name)) await collectRuns(child, runs, inherited);
+      else if(name==='sdt') await collectRuns(wEl(child,'sdtContent') || child, runs, inherited);
+    }
+    return runs;
+  };
+
+  const parseParagraph = async p=>{
+    const own = readParagraphProps(wEl(p,'pPr'));
+    const styleId = wAttr(wEl(wEl(p,'pPr'),'pStyle'),'val');
+    const style = styles[styleId] || styles.Normal || { pPr:{}, rPr:{}, heading:null };
+    const pPr = { ...style.pPr, ...own };
+    const heading = style.heading;
+    const base = { size: heading!=null ? DOCX_HEADING_SIZES[heading] : defaultSize, ...(heading!=null ? { bold:true } : {}), ...style.rPr };
+    const runs = await collectRuns(p, [], base);
+    const para = { type:'paragraph', runs, align:pPr.align || 'left', heading, before:pPr.before, after:pPr.after, indent:pPr.indent, pageBreakBefore:pPr.pageBreakBefore, size: base.size };
+    const numPr = pPr.numPr;
+    const levels = numPr && numPr.numId!=='0' && numbering[numPr.numId];
+    if(levels && levels[numPr.ilvl]){
+      const lvl = levels[numPr.ilvl]; const c = counters[numPr.numId] = counters[numPr.numId] || [];
+      c[numPr.ilvl] = (c[numPr.ilvl] ?? levels[numPr.ilvl].start-1) + 1; c.length = numPr.ilvl+1;
+      const label = lvl.fmt==='bullet' ? '•' : lvl.text.replace(/%(\d)/g, (_,k)=>{ const l = Number(k)-1; return formatListNumber(c[l] ?? (levels[l] ? levels[l].start : 1), levels[l] ? levels[l].fmt : 'decimal'); });
+      para.list = { level: numPr.ilvl, label };
+    }
+    return para;
+  };
+
+  const parseBlocks = async (el, blocks=[])=>{
+    for(const child of Array.from(el.children)){
+      if(child.localName==='p') blocks.push(await parseParagraph(child));
+      else if(child.localName==='tbl'){
+        const grid = wEls(wEl(child,'tblGrid'),'gridCol').map(g=>twipsToPt(wAttr(g,'w') || 0));
+        const rows = [];
+        for(const tr of wEls(child,'tr')){
+          const cells = [];
+          for(const tc of wEls(tr,'tc')) cells.push({ span: Number(wAttr(wEl(wEl(tc,'tcPr'),'gridSpan'),'val') || 1), blocks: await parseBlocks(tc) });
+          rows.push(cells);
+        }
+        blocks.push({ type:'table', grid, rows });
+      }
+      else if(child.localName==='sdt') await parseBlocks(wEl(child,'sdtContent') || child, blocks);
+    }
+    return blocks;
+  };
+
+  const body = wEl(new DOMParser().parseFromString(xml,'application/xml').documentElement, 'body');
+  const blocks = await parseBlocks(body);
+  const sectPr = wEl(body,'sectPr'); let page = null;
+  if(sectPr){
+    const sz = wEl(sectPr,'pgSz'), mar = wEl(sectPr,'pgMar');
+    page = {
+      width: sz ? twipsToPt(wAttr(sz,'w')) : 612, height: sz ? twipsToPt(wAttr(sz,'h')) : 792,
+      margin: mar ? { top:twipsToPt(wAttr(mar,'top')), right:twipsToPt(wAttr(mar,'right')), bottom:twipsToPt(wAttr(mar,'bottom')), left:twipsToPt(wAttr(mar,'left')) } : null
+    };
+  }
+  return { blocks, page };
+}
+
+function textToBlocks(text){
+  const blocks = [];
+  text.replace(/\r\n?/g,'\n').split('\n').forEach(line=>{
+    const parts = line.split('\f');
+    parts.forEach((part,i)=>{ if(i>0) blocks.push({ type:'paragraph', runs:[{ pageBreak:true }] }); blocks.push({ type:'paragraph', runs:[{ text: part.replace(/\t/g,'    ') }], align:'left', after:2, size:11 }); });
+  });
+  return blocks;
+}
+
+// break styled runs into lines that fit maxWidth; each line is { frags:[{ text, font, size, underline, width }], width, height }
+function wrapRuns(runs, maxWidth, fonts){
+  const lines = []; let line = { frags:[], width:0, height:0 };
+  const pushLine = ()=>{ while(line.frags.length && !line.frags[line.frags.length-1].text.trim()){ line.width -= line.frags.pop().width; } lines.push(line); line = { frags:[], width:0, height:0 }; };
+  const fontFor = (r, text)=>{
+    const styled = r.bold && r.italic ? fonts.boldItalic : r.bold ? fonts.bold : r.italic ? fonts.italic : fonts.regular;
+    const needsUnicode = Array.from(text).some(ch=>!isWinAnsi(ch));
+    if(!needsUnicode) return { font: styled, text };
+    if(fonts.unicode) return { font: fonts.unicode, text };
+    return { font: styled, text: Array.from(text).map(ch=>isWinAnsi(ch) ? ch : '?').join('') };
+  };
+  const add = (text, font, r)=>{
+    const size = r.size || 11; const width = font.widthOfTextAtSize(text, size);
+    const last = line.frags[line.frags.length-1];
+    if(last && last.font===font && last.size===size && last.underline===!!r.underline){ last.text += text; last.width += width; }
+    else line.frags.push({ text, font, size, underline: !!r.underline, width });
+    line.width += width; line.height = Math.max(line.height, size*1.25);
+  };
+  runs.forEach(r=>{
+    if(r.text==null) return;
+    r.text.split('\n').forEach((chunk, ci)=>{
+      if(ci>0){ if(!line.height) line.height = (r.size||11)*1.25; pushLine(); }
+      chunk.split(/(\s+)/).filter(Boolean).forEach(piece=>{
+        const { font, text } = fontFor(r, piece.replace(/\s/g,' '));
+        const size = r.size || 11; let w = font.widthOfTextAtSize(text, size);
+        if(!text.trim()){ if(line.frags.length) add(text, font, r); return; }
+        if(line.width + w > maxWidth && line.frags.length) pushLine();
+        // a single word wider than the line gets broken by characters
+        let rest = text;
+        while(w > maxWidth && rest.length > 1){
+          let cut = rest.length-1; while(cut>1 && font.widthOfTextAtSize(rest.slice(0,cut), size) > maxWidth - line.width) cut--;
+          add(rest.slice(0,cut), font, r); pushLine(); rest = rest.slice(cut); w = font.widthOfTextAtSize(rest, size);
+        }
+        add(rest, font, r);
+      });
+    });
+  });
+  if(line.frags.length || !lines.length){ if(!line.height) line.height = ((runs.find(r=>r.size)||{}).size || 11)*1.25; lines.push(line); }
+  return lines;
+}
+
+function drawLine(page, line, x, top, maxWidth, align){
+  const { rgb } = PDFLib;
+  let cx = align==='center' ? x + (maxWidth-line.width)/2 : align==='right' ? x + maxWidth - line.width : x;
+  const baseline = top - line.height*0.8;
+  line.frags.forEach(f=>{
+    if(f.text.trim()) page.drawText(f.text, { x:cx, y:baseline, size:f.size, font:f.font, color:rgb(0,0,0) });
+    if(f.underline) page.drawLine({ start:{ x:cx, y:baseline-1.5 }, end:{ x:cx+f.width, y:baseline-1.5 }, thickness:0.6, color:rgb(0,0,0) });
+    cx += f.width;
+  });
+}
+
+// lay the parsed blocks out onto pdf-lib pages, adding pages as the cursor runs out of room
+async function layoutDocument(pdfDoc, { blocks, page: setup }, fonts, onProgress){
+  const { rgb } = PDFLib;
+  const width = setup?.width || 612, height = setup?.height || 792;
+  const margin = setup?.margin || { top:72, right:72, bottom:72, left:72 };
+  const contentWidth = width - margin.left - margin.right;
+  const L = { page:null, y:0 };
+  const newPage = ()=>{ L.page = pdfDoc.addPage([width, height]); L.y = height - margin.top; };
+  const ensure = h=>{ if(!L.page || (L.y - h < margin.bottom && L.y < height - margin.top)) newPage(); };
+  const embedded = new Map();
+  const embedImage = async img=>{
+    if(embedded.has(img)) return embedded.get(img);
+    let result = null;
+    try{
+      if(img.ext==='png') result = await pdfDoc.embedPng(img.bytes);
+      else if(img.ext==='jpg' || img.ext==='jpeg') result = await pdfDoc.embedJpg(img.bytes);
+      else if(['gif','bmp','webp','tif','tiff'].includes(img.ext)) result = await pdfDoc.embedPng(await imageBytesToPng(img.bytes, 'image/'+img.ext));
+    }catch(e){ console.warn('Skipping image', img.ext, e); }
+    embedded.set(img, result); return result;
+  };
+
+  const layoutParagraph = async para=>{
+    if(para.pageBreakBefore) newPage();
+    const indent = para.indent ?? (para.list ? 18*(para.list.level+1) : 0);
+    const before = para.before ?? (para.heading!=null ? 12 : 0), after = para.after ?? (para.heading!=null ? 6 : 6);
+    if(L.page && L.y < height - margin.top) L.y -= before;
+    let pending = [];
+    const flush = (force)=>{
+      if(!pending.length && !para.list && !force) return;
+      const lines = wrapRuns(pending.length ? pending : [{ text:'', size:para.size }], contentWidth - indent, fonts);
+      lines.forEach((line, i)=>{
+        ensure(line.height);
+        if(i===0 && para.list){
+          const label = wrapRuns([{ text: para.list.label, size: line.frags[0]?.size || para.size || 11 }], 40, fonts)[0];
+          drawLine(L.page, label, margin.left + indent - label.width - 4, L.y, label.width, 'left');
+        }
+        drawLine(L.page, line, margin.left + indent, L.y, contentWidth - indent, para.align);
+        L.y -= line.height;
+      });
+      pending = []; para = { ...para, list:null };
+    };
+    for(const r of para.runs){
+      if(r.pageBreak){ flush(); newPage(); continue; }
+      if(r.image){
+        flush();
+        const img = await embedImage(r.image); if(!img) continue;
+        let w = r.image.width || img.width*0.75, h = r.image.height || img.height*0.75;
+        const fit = Math.min(1, (contentWidth - indent)/w, (height - margin.top - margin.bottom)/h); w *= fit; h *= fit;
+        ensure(h);
+        const x = margin.left + indent + (para.align==='center' ? (contentWidth-indent-w)/2 : para.align==='right' ? contentWidth-indent-w : 0);
+        L.page.drawImage(img, { x, y: L.y - h, width:w, height:h }); L.y -= h + 4;
+        continue;
+      }
+      pending.push(r);
+    }
+    if(pending.length || para.list || !para.runs.length) flush(true);
+    L.y -= after;
+  };
+
+  const layoutTable = table=>{
+    const cols = table.rows.reduce((n,r)=>Math.max(n, r.reduce((a,c)=>a+c.span,0)), 0); if(!cols) return;
+    let grid = table.grid.length>=cols ? table.grid.slice(0,cols) : Array(cols).fill(contentWidth/cols);
+    const total = grid.reduce((a,b)=>a+b,0); if(total > contentWidth || !total) grid = grid.map(g=>g*contentWidth/(total||1));
+    const pad = 4;
+    if(L.page) L.y -= 4;
+    table.rows.forEach(row=>{
+      let col = 0;
+      const cells = row.map(cell=>{
+        const w = grid.slice(col, col+cell.span).reduce((a,b)=>a+b,0); const x = margin.left + grid.slice(0,col).reduce((a,b)=>a+b,0); col += cell.span;
+        // cells hold paragraphs (nested tables are flattened to their text)
+        const paras = []; const walk = bs=>bs.forEach(b=>b.type==='table' ? b.rows.forEach(r=>r.forEach(c=>walk(c.blocks))) : paras.push(b));
+        walk(cell.blocks);
+        const lines = paras.flatMap(p=>wrapRuns(p.runs.filter(r=>r.text!=null), w - 2*pad, fonts).map(l=>({ line:l, align:p.align })));
+        return { x, w, lines, height: lines.reduce((a,l)=>a+l.line.height,0) + 2*pad };
+      });
+      const rowHeight = Math.max(...cells.map(c=>c.height), 14);
+      ensure(rowHeight);
+      cells.forEach(c=>{
+        L.page.drawRectangle({ x:c.x, y:L.y-rowHeight, width:c.w, height:rowHeight, borderColor:rgb(0.6,0.6,0.6), borderWidth:0.5 });
+        let y = L.y - pad; c.lines.forEach(({ line, align })=>{ drawLine(L.page, line, c.x+pad, y, c.w-2*pad, align); y -= line.height; });
+      });
+      L.y -= rowHeight;
+    });
+    L.y -= 8;
+  };
+
+  for(let i=0;i<blocks.length;i++){
+    if(blocks[i].type==='table') layoutTable(blocks[i]); else await layoutParagraph(blocks[i]);
+    if(onProgress) onProgress((i+1)/blocks.length);
+  }
+  if(!L.page) newPage();
+}
+
+// lay a .docx or .txt File out as a new pdf-lib document
+async function wordToDocument(file, task){
+  const { PDFDocument, StandardFonts } = PDFLib;
+  const head = new Uint8Array(await file.slice(0,4).arrayBuffer());
+  let parsed;
+  if(head[0]===0x50 && head[1]===0x4b){ await ensureJSZip(); parsed = await parseDocx(await JSZip.loadAsync(await file.arrayBuffer())); }
+  else if(head[0]===0xd0 && head[1]===0xcf) throw new Error('Legacy .doc files are not supported. Save the document as .docx and try again.');
+  else parsed = { blocks: textToBlocks(await file.text()), page: null };
+  task.progress(30);
+  const pdfDoc = await PDFDocument.create();
+  const fonts = {
+    regular: await pdfDoc.embedFont(StandardFonts.Helvetica), bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+    italic: await pdfDoc.embedFont(StandardFonts.HelveticaOblique), boldItalic: await pdfDoc.embedFont(StandardFonts.HelveticaBoldOblique), unicode: null
+  };
+  const needsUnicode = blk=>blk.type==='table' ? blk.rows.some(r=>r.some(c=>c.blocks.some(needsUnicode))) : blk.runs.some(r=>r.text && Array.from(r.text).some(ch=>ch!=='\n' && !isWinAnsi(ch)));
+  if(parsed.blocks.some(needsUnicode)) fonts.unicode = await embedUnicodeFont(pdfDoc);
+  await layoutDocument(pdfDoc, parsed, fonts, f=>task.progress(30 + 70*f, { stage:'Laying out pages' }));
+  return pdfDoc;
+}
+
+/* 7. wordToPDF - converts .docx (paragraphs, headings, bold/italic/underline runs, bullet and numbered
+   lists, simple tables, embedded images, page breaks) or plain .txt into a paginated PDF.
+   Text is set in the standard Helvetica family; if the document contains characters outside WinAnsi a
+   Unicode font is embedded for those runs (falling back to '?' when no font can be fetched). */
+async function wordToPDF(file, options={}){
+  const task = createTask(options);
+  try{ if(!file) throw new Error('No file'); await ensurePdfLib(); task.progress(5);
+    const pdfDoc = await wordToDocument(file, task.step(5, 90));
+    const bytes = await pdfDoc.save(); task.download(bytes, file.name.replace(/\.(docx?|txt)$/i,'')+'.pdf'); task.progress(100); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+const IMAGE_FORMATS = { png:{ type:'image/png', ext:'png' }, jpeg:{ type:'image/jpeg', ext:'jpg' }, jpg:{ type:'image/jpeg', ext:'jpg' }, webp:{ type:'image/webp', ext:'webp' } };
+
+// render the selected pages of PDF bytes to image Blobs named after base: [{ page, name, blob }]
+async function renderPageImages(array, base, { pages, dpi=150, format='png', quality=0.9, background='#ffffff' }, task){
+  await ensurePdfJs();
+  const fmt = IMAGE_FORMATS[String(format).toLowerCase()];
+  if(!fmt) throw new Error('Unsupported image format: '+format);
+  if(fmt.type==='image/jpeg' && background==='transparent') background = '#ffffff';
+  const doc = await openPdfJs(array);
+  const indices = parsePageRange(pages, doc.numPages);
+  if(!indices.length) throw new Error('No pages selected');
+  const results = [];
+  for(let i=0;i<indices.length;i++){
+    const p = indices[i]+1; const page = await doc.getPage(p);
+    const canvas = await renderPageToCanvas(page, dpi/72, background);
+    const blob = await canvasToBlob(canvas, fmt.type, quality);
+    // browsers without WebP encoding silently fall back to PNG; name the file after what we actually got
+    const ext = blob.type===fmt.type ? fmt.ext : (Object.values(IMAGE_FORMATS).find(f=>f.type===blob.type) || IMAGE_FORMATS.png).ext;
+    results.push({ page:p, name:`${base}-page-${p}.${ext}`, blob });
+    canvas.width = canvas.height = 0; page.cleanup();
+    task.progress(5 + 85*(i+1)/indices.length, { stage:'Rendering', page:i+1, pages:indices.length });
+  }
+  return results;
+}
+
+/* renderPagesToImages - shared PDF.js export used by pdfToJPG and pdfToPNG
+   options:
+     pages (string|number[]) : page selection in splitPDF syntax ('1-3,5'); empty means all pages
+     dpi (number)            : output resolution, 72 = 1 image pixel per PDF point (default 150)
+     format ('png'|'jpeg'|'webp'), quality (0-1, JPEG/WebP only, default 0.9)
+     background (css colour) : page background, 'transparent' is honoured for PNG/WebP (default white)
+   a single page downloads as one image, several pages as one ZIP. returns [{ page, name, blob }]. */
+async function renderPagesToImages(file, options={}){
+  const task = createTask(options);
+  validatePDF(file); task.progress(5);
+  const base = file.name.replace(/\.pdf$/i,'');
+  const results = await renderPageImages(await readPDF(file), base, options, task);
+  if(results.length===1) task.download(results[0].blob, results[0].name);
+  else if(!task.quiet){
+    await ensureJSZip(); const zip = new JSZip();
+    results.forEach(r=>zip.file(r.name, r.blob));
+    downloadBlob(await zip.generateAsync({ type:'blob' }), `${base}-${IMAGE_FORMATS[String(options.format || 'png').toLowerCase()].ext}.zip`);
+  }
+  task.progress(100);
+  return results;
+}
+
+/* 8. pdfToJPG - render pages to JPEG (all pages unless options.pages is given); see renderPagesToImages */
+async function pdfToJPG(file, options={}){
+  try{ return await renderPagesToImages(file, { format:'jpeg', ...options }); }catch(err){handleError(err, options);throw err}
+}
+
+function dataURItoBlob(dataURI){ const [header, data] = dataURI.split(','); const type = (header.match(/^data:([^;,]+)/)||[])[1] || 'application/octet-stream'; const byteString = atob(data); const ab = new ArrayBuffer(byteString.length); const ia = new Uint8Array(ab); for(let i=0;i<byteString.length;i++) ia[i]=byteString.charCodeAt(i); return new Blob([ab],{type}); }
+
+// read the EXIF Orientation tag (1-8) from JPEG bytes; 1 when absent
+function readJpegOrientation(bytes){
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if(view.getUint16(0)!==0xFFD8) return 1;
+  let off = 2;
+  while(off + 4 < view.byteLength){
+    const marker = view.getUint16(off), len = view.getUint16(off+2);
+    if(marker===0xFFE1 && view.getUint32(off+4)===0x45786966){ // "Exif"
+      const tiff = off + 10; const little = view.getUint16(tiff)===0x4949;
+      const ifd = tiff + view.getUint32(tiff+4, little); const count = view.getUint16(ifd, little);
+      for(let i=0;i<count;i++){
+        const entry = ifd + 2 + i*12;
+        if(entry + 12 > view.byteLength) break;
+        if(view.getUint16(entry, little)===0x0112) return view.getUint16(entry+8, little) || 1;
+      }
+      return 1;
+    }
+    if((marker & 0xFF00)!==0xFF00 || marker===0xFFDA) break;
+    off += 2 + len;
+  }
+  return 1;
+}
+
+function sniffImageType(bytes){
+  if(bytes[0]===0xFF && bytes[1]===0xD8) return 'image/jpeg';
+  if(bytes[0]===0x89 && bytes[1]===0x50 && bytes[2]===0x4E && bytes[3]===0x47) return 'image/png';
+  if(bytes[0]===0x47 && bytes[1]===0x49 && bytes[2]===0x46) return 'image/gif';
+  if(bytes[0]===0x42 && bytes[1]===0x4D) return 'image/bmp';
+  if(bytes[8]===0x57 && bytes[9]===0x45 && bytes[10]===0x42 && bytes[11]===0x50) return 'image/webp';
+  return null;
+}
+
+const PAGE_SIZES = { a4:[595.28, 841.89], letter:[612, 792] };
+
+// one page per image File, in order, in a new pdf-lib document (see jpgToPDF)
+async function imagesToDocument(files, options, task){
+  const { pageSize='a4', orientation='auto', fit='contain', margin=0 } = options;
+  const { PDFDocument, degrees, pushGraphicsState, popGraphicsState, rectangle, clip, endPath } = PDFLib;
+  const pdfDoc = await PDFDocument.create();
+  for(let i=0;i<files.length;i++){
+    let bytes = new Uint8Array(await files[i].arrayBuffer());
+    let type = sniffImageType(bytes) || files[i].type;
+    let exif = type==='image/jpeg' ? readJpegOrientation(bytes) : 1;
+    if([2,4,5,7].includes(exif)){
+      // mirrored orientations can't be expressed as a rotation; let the browser bake them in
+      const bitmap = await createImageBitmap(new Blob([bytes],{type}), { imageOrientation:'from-image' });
+      const canvas = createCanvas(bitmap.width, bitmap.height);
+      canvas.getContext('2d').drawImage(bitmap,0,0); bitmap.close();
+      bytes = new Uint8Array(await (await canvasToBlob(canvas,'image/jpeg',0.92)).arrayBuffer()); exif = 1;
+    }
+    let img;
+    if(type==='image/jpeg') img = await pdfDoc.embedJpg(bytes);
+    else if(type==='image/png') img = await pdfDoc.embedPng(bytes);
+    else img = await pdfDoc.embedPng(await imageBytesToPng(bytes, type));
+    const sideways = exif>=5;
+    const iw = sideways ? img.height : img.width, ih = sideways ? img.width : img.height;
+    let pw, ph;
+    if(pageSize==='fit'){ pw = iw + 2*margin; ph = ih + 2*margin; }
+    else {
+      [pw, ph] = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+      const landscape = orientation==='landscape' || (orientation==='auto' && iw > ih);
+      if(landscape) [pw, ph] = [ph, pw];
+    }
+    const page = pdfDoc.addPage([pw, ph]);
+    const bx = margin, by = margin, bw = pw - 2*margin, bh = ph - 2*margin;
+    let dw = bw, dh = bh;
+    if(fit!=='stretch'){ const scale = fit==='cover' ? Math.max(bw/iw, bh/ih) : Math.min(bw/iw, bh/ih); dw = iw*scale; dh = ih*scale; }
+    const dx = bx + (bw-dw)/2, dy = by + (bh-dh)/2;
+    if(fit==='cover') page.pushOperators(pushGraphicsState(), rectangle(bx, by, bw, bh), clip(), endPath());
+    // place the stored (unrotated) image so that after rotation it fills the display box
+    if(exif===6) page.drawImage(img, { x:dx, y:dy+dh, width:dh, height:dw, rotate:degrees(-90) });
+    else if(exif===8) page.drawImage(img, { x:dx+dw, y:dy, width:dh, height:dw, rotate:degrees(90) });
+    else if(exif===3) page.drawImage(img, { x:dx+dw, y:dy+dh, width:dw, height:dh, rotate:degrees(180) });
+    else page.drawImage(img, { x:dx, y:dy, width:dw, height:dh });
+    if(fit==='cover') page.pushOperators(popGraphicsState());
+    task.progress(100*(i+1)/files.length, { stage:'Adding images', page:i+1, pages:files.length });
+  }
+  return pdfDoc;
+}
+
+/* 9. jpgToPDF - convert one or more images (in the given order) into a PDF, one image per page.
+   PNG and JPEG are embedded directly; WebP, GIF and BMP go through a canvas to PNG. JPEG EXIF orientation
+   is honoured (rotations by drawing rotated, mirrored variants by re-encoding through a canvas).
+   options:
+     pageSize ('a4'|'letter'|'fit') : 'fit' makes each page the size of its image (default 'a4')
+     orientation ('auto'|'portrait'|'landscape') : 'auto' follows each image's aspect ratio
+     fit ('contain'|'cover'|'stretch') : how the image fills the area inside the margins (default 'contain')
+     margin (number) : margin in points on every side (default 0)
+*/
+async function jpgToPDF(files, options={}){
+  const task = createTask(options);
+  try{ files = Array.isArray(files) ? files : (files instanceof FileList ? Array.from(files) : [files]);
+    if(!files.length || files.some(f=>!f || !f.type.startsWith('image/'))) throw new Error('Not an image');
+    await ensurePdfLib(); task.progress(5);
+    const pdfDoc = await imagesToDocument(files, options, task.step(5, 90));
+    const bytes = await pdfDoc.save();
+    task.download(bytes, files.length===1 ? files[0].name.replace(/\.[a-z0-9]+$/i,'')+'.pdf' : 'images.pdf'); task.progress(100); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* ---- page stamping helpers (used by addPageNumbers and addWatermark) ---- */
+
+// '#rgb' or '#rrggbb' to a pdf-lib colour
+function hexToRgb(hex, fallback='#000000'){
+  let h = String(hex||'').trim().replace(/^#/,'');
+  if(h.length===3) h = h.split('').map(c=>c+c).join('');
+  if(!/^[0-9a-f]{6}$/i.test(h)) return fallback ? hexToRgb(fallback, null) : PDFLib.rgb(0,0,0);
+  return PDFLib.rgb(parseInt(h.slice(0,2),16)/255, parseInt(h.slice(2,4),16)/255, parseInt(h.slice(4,6),16)/255);
+}
+
+// the page as the reader sees it: its visible width and height, and a mapping from visible coordinates
+// (origin at the bottom-left of the displayed page) to user space that honours the CropBox and /Rotate
+function visibleFrame(page){
+  const { x, y, width, height } = page.getCropBox(); const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const toUser = (vx, vy)=>rotation===90 ? [x + width - vy, y + vx] : rotation===180 ? [x + width - vx, y + height - vy] : rotation===270 ? [x + vy, y + height - vx] : [x + vx, y + vy];
+  const sideways = rotation===90 || rotation===270;
+  return { width: sideways ? height : width, height: sideways ? width : height, rotation, toUser };
+}
+
+// pdf-lib rotates text and images about their lower-left corner; work out that corner (in user space) so a
+// w x h box turned by angle degrees (counter-clockwise as the reader sees it) is centred on visible point (cx, cy)
+function placeRotated(frame, cx, cy, w, h, angle){
+  const t = angle*Math.PI/180;
+  const [x, y] = frame.toUser(cx - (w/2*Math.cos(t) - h/2*Math.sin(t)), cy - (w/2*Math.sin(t) + h/2*Math.cos(t)));
+  return { x, y, rotate: PDFLib.degrees(angle + frame.rotation) };
+}
+
+// width and height of the axis-aligned box around a w x h box turned by angle degrees
+function rotatedExtent(w, h, angle){
+  const t = angle*Math.PI/180, c = Math.abs(Math.cos(t)), s = Math.abs(Math.sin(t));
+  return [w*c + h*s, w*s + h*c];
+}
+
+const STAMP_ANCHORS = ['top-left','top','top-right','left','center','right','bottom-left','bottom','bottom-right'];
+
+// visible centre point for something of extent ew x eh at one of the nine anchors, kept margin points from the edges
+function anchorCentre(frame, anchor, ew, eh, margin){
+  const col = anchor.endsWith('left') ? 0 : anchor.endsWith('right') ? 2 : 1;
+  const row = anchor.startsWith('top') ? 0 : anchor.startsWith('bottom') ? 2 : 1;
+  return [[margin + ew/2, frame.width/2, frame.width - margin - ew/2][col], [frame.height - margin - eh/2, frame.height/2, margin + eh/2][row]];
+}
+
+// embed the named standard font, or a Unicode font when some of the texts fall outside its character set
+async function embedStampFont(pdfDoc, fontName, texts){
+  const standard = PDFLib.StandardFonts[fontName] || Object.values(PDFLib.StandardFonts).find(v=>v===fontName);
+  if(!standard) throw new Error('Unknown font: '+fontName);
+  if(texts.every(t=>Array.from(t).every(isWinAnsi))) return await pdfDoc.embedFont(standard);
+  const font = await embedUnicodeFont(pdfDoc);
+  if(!font) throw new Error('This text needs a Unicode font, which could not be loaded');
+  return font;
+}
+
+// move whatever pdf-lib has drawn on the page (always its last content stream) underneath the existing content
+function sendDrawingToBack(page){
+  const contents = page.node.Contents();
+  if(!(contents instanceof PDFLib.PDFArray) || contents.size() < 2) return;
+  const last = contents.get(contents.size()-1); contents.remove(contents.size()-1); contents.insert(0, last);
+}
+
+/* 10. addPageNumbers(file, options) - stamp page numbers, or any header/footer text, from a template.
+   options:
+     format (string)          : template; {n} page number, {total} the document's page count, {date}, {filename} and
+                                {bates} (default '{n}', e.g. 'Page {n} of {total}' or '{filename} — {date}')
+     style (string)           : how {n} and {total} are written: 'arabic' (default), 'roman', 'ROMAN', 'letters' or 'LETTERS'
+     start (number)           : number given to the first stamped page (default 1, also for a blank or non-numeric value)
+     skip (number)            : leave the first N pages unstamped, e.g. a cover (default 0)
+     pages (string)           : only stamp these pages, e.g. '2-10' (blank = all after skip)
+     position (string)        : 'top-left', 'top', 'top-right', 'bottom-left', 'bottom' (default) or 'bottom-right'
+     margin (number)          : distance from the page edges in points (default 20)
+     font, size, color        : a pdf-lib StandardFonts name (default 'Helvetica'), points (default 10), hex (default '#666666')
+     date (string)            : text for {date} (default today's date in the browser's locale)
+     filename (string)        : text for {filename} (default the file name without .pdf)
+     bates ({ prefix, digits, suffix }) : how {bates} is written: prefix + the number zero-padded to digits (default 6) + suffix
+   numbers are placed on the page as displayed, so rotated pages get upright, correctly placed numbers.
+   batesNumber(files, options) numbers several files as one continuous sequence, in the given order. */
+const PAGE_NUMBER_POSITIONS = ['top-left','top','top-right','bottom-left','bottom','bottom-right'];
+const PAGE_NUMBER_STYLES = { arabic:n=>String(n), roman:n=>toRoman(n), ROMAN:n=>toRoman(n).toUpperCase(), letters:n=>toLetters(n), LETTERS:n=>toLetters(n).toUpperCase() };
+
+// the start option as a whole number; 0 is kept, blank or non-numeric falls back to 1
+function startNumber(start){
+  const n = Math.trunc(Number(start));
+  return String(start ?? '').trim()!=='' && Number.isFinite(n) ? n : 1;
+}
+
+// stamp one document in memory; returns { first, last } numbers used (null when no page was stamped)
+async function stampPageNumbers(pdfDoc, options={}){
+  const { format='{n}', style='arabic', start=1, skip=0, pages='', position='bottom', margin=20, font:fontName='Helvetica', size=10, color='#666666',
+    date=new Date().toLocaleDateString(), filename='', bates={} } = options;
+  if(!PAGE_NUMBER_POSITIONS.includes(position)) throw new Error('Unknown page number position: '+position);
+  const writeNumber = PAGE_NUMBER_STYLES[style];
+  if(!writeNumber) throw new Error('Unknown numbering style: '+style);
+  const total = pdfDoc.getPageCount(), skipped = Number(skip) || 0;
+  const selected = String(pages||'').trim() ? new Set(parsePageRange(pages, total)) : null;
+  const targets = Array.from({ length:total }, (_,i)=>i).filter(i=>i >= skipped && (!selected || selected.has(i)));
+  if(!targets.length) return { first:null, last:null };
+  const first = startNumber(start), last = first + targets.length - 1;
+  const batesText = n=>(bates.prefix||'') + String(n).padStart(Number(bates.digits) || 6, '0') + (bates.suffix||'');
+  const labels = targets.map((_,k)=>format.replace(/\{(n|total|date|filename|bates)\}/g, (m, key)=>({
+    n: writeNumber(first+k), total: writeNumber(total), date, filename, bates: batesText(first+k)
+  })[key]));
+  const font = await embedStampFont(pdfDoc, fontName, labels); const rgbColor = hexToRgb(color);
+  targets.forEach((index,k)=>{
+    const page = pdfDoc.getPage(index); const frame = visibleFrame(page);
+    const w = font.widthOfTextAtSize(labels[k], size), h = font.heightAtSize(size, { descender:false });
+    const [cx, cy] = anchorCentre(frame, position, w, h, margin);
+    page.drawText(labels[k], { ...placeRotated(frame, cx, cy, w, h, 0), size, font, color:rgbColor });
+  });
+  return { first, last };
+}
+
+async function addPageNumbers(file, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const array = await readPDF(file); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
+    await stampPageNumbers(pdfDoc, { filename: file.name.replace(/\.pdf$/i,''), ...options }); task.progress(70);
+    const bytes = await pdfDoc.save(); task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-pagenums.pdf'); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* batesNumber(files, options) - Bates-stamp several PDFs in order with one running sequence.
+   options are those of addPageNumbers, plus prefix, digits (default 6), suffix and start (default 1);
+   the format defaults to '{bates}' in the bottom-right corner.
+   returns [{ name, blob, first, last }] with each file's Bates range; downloads the PDF, or a ZIP of all of them
+   with an index.csv of the ranges */
+async function batesNumber(files, options={}){
+  const task = createTask(options);
+  try{ files = Array.isArray(files) ? files : (files instanceof FileList ? Array.from(files) : [files]);
+    if(!files.length) throw new Error('No files');
+    files.forEach(validatePDF); await ensurePdfLib(); task.progress(5);
+    const { prefix='', digits=6, suffix='', start=1 } = options; const { PDFDocument } = PDFLib;
+    const outputs = []; let next = startNumber(start);
+    for(let i=0;i<files.length;i++){
+      const pdfDoc = await PDFDocument.load(await readPDF(files[i]));
+      const { first, last } = await stampPageNumbers(pdfDoc, { format:'{bates}', position:'bottom-right', filename: files[i].name.replace(/\.pdf$/i,''),
+        ...options, start:next, bates:{ prefix, digits, suffix } });
+      if(first!==null) next = last + 1;
+      const fmt = n=>n===null ? '' : prefix + String(n).padStart(Number(digits) || 6, '0') + suffix;
+      outputs.push({ name: files[i].name.replace(/\.pdf$/i,'')+'-bates.pdf', blob: new Blob([await pdfDoc.save()], { type:'application/pdf' }), first:fmt(first), last:fmt(last) });
+      task.progress(5 + 85*(i+1)/files.length, { stage:`Numbering file ${i+1} of ${files.length}` });
+    }
+    if(outputs.length===1) task.download(outputs[0].blob, outputs[0].name);
+    else if(!task.quiet){
+      await ensureJSZip(); const zip = new JSZip();
+      outputs.forEach(o=>zip.file(o.name, o.blob));
+      zip.file('index.csv', 'file,first,last\n'+outputs.map(o=>[o.name, o.first, o.last].map(v=>`"${String(v).replace(/"/g,'""')}"`).join(',')).join('\n')+'\n');
+      downloadBlob(await zip.generateAsync({ type:'blob' }), 'bates-numbered.zip');
+    }
+    task.progress(100); return outputs;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* 11. removePageNumbers - finds page numbers with PDF.js text positions and removes just those glyph runs.
+   A candidate is a text segment in the top or bottom band of the page that reads like "7", "- 7 -",
+   "Page 7", "Page 7 of 20", "7/20" or a roman numeral. Candidates only count as page numbers when they
+   form a sequence: the same band on several pages with value minus page index constant.
+   detectPageNumbers returns the per-page matches (and annotated PNG Blob thumbnails) for previewing;
+   removePageNumbers edits the content stream to drop the matching text-showing operators and, where
+   the text can't be reached that way (e.g. it lives in a Form XObject), covers its exact box instead.
+   options: band (fraction of page height searched at top and bottom, default 0.12),
+            detections (result of detectPageNumbers to apply as-is), onReport (function)
+*/
+const ROMAN_RE = /^m{0,4}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/i;
+function romanToInt(s){
+  if(!s || !ROMAN_RE.test(s)) return 0;
+  const v = { i:1, v:5, x:10, l:50, c:100, d:500, m:1000 }; let total = 0; s = s.toLowerCase();
+  for(let i=0;i<s.length;i++){ const cur = v[s[i]], next = v[s[i+1]] || 0; total += cur < next ? -cur : cur; }
+  return total;
+}
+
+function parsePageNumberText(text){
+  const t = text.replace(/\s+/g,' ').trim();
+  let m = t.match(/^(?:page|pg\.?|p\.)?\s*(\d{1,5})(?:\s*(?:of|\/)\s*(\d{1,5}))?$/i) || t.match(/^[-–—]\s*(\d{1,5})\s*[-–—]$/);
+  if(m) return { kind:'arabic', value:Number(m[1]), total: m[2] ? Number(m[2]) : null };
+  m = t.match(/^(?:page\s+)?([ivxlcdm]{1,8})$/i);
+  if(m && romanToInt(m[1])) return { kind:'roman', value:romanToInt(m[1]), total:null };
+  return null;
+}
+
+async function detectPageNumbers(file, options={}){
+  validatePDF(file);
+  return await pageNumberReport(await readPDF(file), options, createTask(options));
+}
+
+// the detection behind detectPageNumbers, on PDF bytes
+async function pageNumberReport(array, { band = 0.12, thumbnails = true }, task){
+  await ensurePdfJs();
+  const doc = await openPdfJs(array);
+  const candidates = []; const pages = [];
+  for(let p=1;p<=doc.numPages;p++){
+    const page = await doc.getPage(p);
+    const segments = await extractTextSegments(page);
+    segments.forEach(seg=>{
+      const region = seg.vy > 1-band ? 'bottom' : seg.vy < band ? 'top' : null;
+      const parsed = region && parsePageNumberText(seg.text);
+      if(parsed) candidates.push({ page:p, region, ...parsed, text:seg.text, box:{ x0:seg.x0, y0:seg.y0, x1:seg.x1, y1:seg.y1 } });
+    });
+    pages.push(page);
+    task.progress(5 + 50*p/doc.numPages, { stage:'Looking for page numbers', page:p, pages:doc.numPages });
+  }
+  // keep candidates whose (region, numbering style, offset from page index, total) repeats across pages
+  const groups = {};
+  candidates.forEach(c=>{ const key = [c.region, c.kind, c.value - c.page, c.total].join('|'); (groups[key] = groups[key] || []).push(c); });
+  // a single page can't show a sequence, so there the number must also match the page ("1", "Page 1 of 1")
+  const minPages = doc.numPages===1 ? 1 : Math.max(2, Math.ceil(doc.numPages*0.3));
+  const accepted = Object.values(groups).filter(g=>new Set(g.map(c=>c.page)).size >= minPages
+    && (doc.numPages>1 || g.every(c=>c.value===c.page && (c.total===null || c.total===1)))).flat();
+  const report = [];
+  for(let p=1;p<=doc.numPages;p++){
+    const matches = accepted.filter(c=>c.page===p);
+    let thumbnail = null;
+    if(thumbnails){
+      const page = pages[p-1]; const scale = 180 / page.getViewport({ scale: 1 }).width;
+      const canvas = await renderPageToCanvas(page, scale); const ctx = canvas.getContext('2d'); const vp = page.getViewport({ scale });
+      ctx.strokeStyle = '#e5322d'; ctx.lineWidth = 2; ctx.fillStyle = 'rgba(229,50,45,0.25)';
+      matches.forEach(({ box })=>{ const [x1,y1,x2,y2] = vp.convertToViewportRectangle([box.x0, box.y0, box.x1, box.y1]); const r = [Math.min(x1,x2)-2, Math.min(y1,y2)-2, Math.abs(x2-x1)+4, Math.abs(y2-y1)+4]; ctx.fillRect(...r); ctx.strokeRect(...r); });
+      thumbnail = await canvasToBlob(canvas, 'image/png');
+    }
+    report.push({ page:p, matches, thumbnail });
+    task.progress(55 + 20*p/doc.numPages);
+  }
+  return report;
+}
+
+// remove the page numbers from a loaded document in place: options.detections, or what pageNumberReport finds.
+// returns the detections used
+async function stripPageNumbers(pdfDoc, options, task){
+  const { rgb } = PDFLib;
+  const report = options.detections || await pageNumberReport(await pdfDoc.save(), { ...options, thumbnails:false }, task);
+  const pages = pdfDoc.getPages();
+  report.forEach(({ page, matches })=>{
+    if(!matches.length || !pages[page-1]) return;
+    const p = pages[page-1];
+    const boxes = matches.map(m=>({ x0:m.box.x0-1, y0:m.box.y0-1, x1:m.box.x1+1, y1:m.box.y1+1 }));
+    const hit = stripTextInBoxes(pdfDoc, p, boxes);
+    boxes.forEach((b,i)=>{ if(!hit.has(i)) p.drawRectangle({ x:b.x0, y:b.y0, width:b.x1-b.x0, height:b.y1-b.y0, color:rgb(1,1,1) }); });
+  });
+  return report;
+}
+
+async function removePageNumbers(file, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const array = await readPDF(file); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
+    const report = await stripPageNumbers(pdfDoc, options, task);
+    if(options.onReport) options.onReport(report);
+    const bytes = await pdfDoc.save(); task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-no-pagenums.pdf'); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* 12. addWatermark(file, options) - stamp a text or image watermark on the chosen pages.
+   options (or just the watermark text as a string):
+     text (string)            : watermark text (default 'ToolMetric watermark')
+     image (File|Blob|bytes)  : a PNG or JPEG logo to stamp instead of text
+     font (string)            : a pdf-lib StandardFonts name such as 'Helvetica', 'TimesRomanBold' or 'Courier'
+                                (default 'HelveticaBold'); text outside their character set uses an embedded Unicode font
+     size (number)            : font size in points (default 40)
+     scale (number)           : image width as a fraction of the page width (default 0.4)
+     color (string)           : hex colour of the text (default '#e6e6e6')
+     opacity (number)         : 0-1, clamped to that range; 0.15 when blank or not a number
+     rotation (number)        : degrees, counter-clockwise (default -30)
+     position (string)        : one of STAMP_ANCHORS ('top-left' ... 'bottom-right', default 'center') or 'tile'
+     margin (number)          : distance from the page edges for the edge anchors, in points (default 36)
+     spacing (number)         : gap between repeats when tiling, in points (default 60)
+     layer ('over'|'under')   : draw above or beneath the page content (default 'over')
+     pages (string)           : pages to stamp, e.g. '1-3,5' (blank = all)
+   positions are measured on the page as displayed, so rotated and cropped pages come out centred too.
+   previewWatermark(file, options, { page, width }) renders one stamped page (see renderPagePreview) without saving. */
+async function stampWatermark(pdfDoc, options={}){
+  const { text='ToolMetric watermark', image=null, font:fontName='HelveticaBold', size=40, scale=0.4, color='#e6e6e6', rotation=-30,
+    position='center', margin=36, spacing=60, layer='over', pages='' } = options;
+  if(position!=='tile' && !STAMP_ANCHORS.includes(position)) throw new Error('Unknown watermark position: '+position);
+  // 0 is a valid opacity, so only a blank or non-numeric value falls back to the default
+  const opacity = Number(options.opacity), given = String(options.opacity ?? '').trim()!=='' && Number.isFinite(opacity);
+  const alpha = given ? Math.min(1, Math.max(0, opacity)) : 0.15;
+  let measure, draw;
+  if(image){
+    const bytes = new Uint8Array(image instanceof Blob ? await image.arrayBuffer() : image); const type = sniffImageType(bytes);
+    if(!type) throw new Error('The watermark image must be a PNG or JPEG');
+    const embedded = type==='image/jpeg' ? await pdfDoc.embedJpg(bytes) : await pdfDoc.embedPng(type==='image/png' ? bytes : await imageBytesToPng(bytes, type));
+    measure = frame=>{ const w = frame.width*Math.min(Math.max(Number(scale)||0.4, 0.01), 1); return [w, w*embedded.height/embedded.width]; };
+    draw = (page, at, w, h)=>page.drawImage(embedded, { ...at, width:w, height:h, opacity:alpha });
+  } else {
+    const line = String(text).replace(/\s*\n\s*/g,' ').trim();
+    if(!line) throw new Error('Enter the watermark text');
+    const font = await embedStampFont(pdfDoc, fontName, [line]);
+    const w = font.widthOfTextAtSize(line, size), h = font.heightAtSize(size, { descender:false }), rgbColor = hexToRgb(color);
+    measure = ()=>[w, h];
+    draw = (page, at)=>page.drawText(line, { ...at, size, font, color:rgbColor, opacity:alpha });
+  }
+  const total = pdfDoc.getPageCount();
+  const targets = String(pages||'').trim() ? parsePageRange(pages, total) : Array.from({ length:total }, (_,i)=>i);
+  targets.forEach(index=>{
+    const page = pdfDoc.getPage(index); const frame = visibleFrame(page);
+    const [w, h] = measure(frame); const [ew, eh] = rotatedExtent(w, h, rotation);
+    const centres = [];
+    if(position==='tile'){
+      const sx = ew + Math.max(0, spacing), sy = eh + Math.max(0, spacing);
+      for(let row=0; row*sy < frame.height + sy; row++) for(let cx = row%2 ? sx/2 : 0; cx < frame.width + sx; cx += sx) centres.push([cx, frame.height - row*sy]);
+    } else centres.push(anchorCentre(frame, position, ew, eh, margin));
+    centres.forEach(([cx, cy])=>draw(page, placeRotated(frame, cx, cy, w, h, rotation), w, h));
+    if(layer==='under') sendDrawingToBack(page);
+  });
+  return targets.length;
+}
+
+async function addWatermark(file, options={}){
+  if(typeof options==='string') options = { text: options };
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const array = await readPDF(file); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
+    await stampWatermark(pdfDoc, options); task.progress(70);
+    const bytes = await pdfDoc.save(); task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-watermarked.pdf'); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+async function previewWatermark(file, options={}, { page=1, width=500 } = {}){
+  if(typeof options==='string') options = { text: options };
+  validatePDF(file); await ensurePdfLib();
+  const { PDFDocument } = PDFLib; const source = await PDFDocument.load(await readPDF(file));
+  const index = Math.min(Math.max(1, page), source.getPageCount()) - 1;
+  const single = await PDFDocument.create(); const [copy] = await single.copyPages(source, [index]); single.addPage(copy);
+  const range = String(options.pages||'').trim() ? parsePageRange(options.pages, source.getPageCount()) : null;
+  if(!range || range.includes(index)) await stampWatermark(single, { ...options, pages:'' });
+  const preview = await pagePreview(await single.save(), 1, width);
+  return { ...preview, page: index+1, pages: source.getPageCount() };
+}
+
+/* 13. removeMetadata - privacy scrubber. inspectMetadata lists what a PDF carries; removeMetadata strips the
+   chosen categories in place (no pdf-lib Producer/Creator is added), drops objects nothing refers to any
+   more (old revisions, orphaned metadata streams) and re-scans its own output.
+   categories (options, each true unless set to false; forms defaults to false):
+     info        : document Info dictionary (Title, Author, Producer, dates, custom keys)
+     xmp         : XMP metadata streams on the document, pages and images, plus PieceInfo application data
+     attachments : embedded files and file attachment annotations
+     javascript  : document JavaScript, automatic actions (OpenAction/AA) and JavaScript/Launch links
+     annotations : comments and markup annotations (they carry author names)
+     documentId  : the trailer ID
+     forms       : flatten form fields into page content
+   edit: { Title, Author, Subject, Keywords } written into a fresh Info dictionary (empty values are dropped)
+   onReport: receives { before, after, remaining } — remaining lists anything still found in stripped categories */
+const INFO_EDIT_KEYS = ['Title','Author','Subject','Keywords'];
+const UNSAFE_ACTIONS = ['JavaScript','Launch'];
+
+function decodePdfValue(obj){
+  const { PDFString, PDFHexString, PDFName, PDFNumber, PDFBool } = PDFLib;
+  if(obj instanceof PDFString || obj instanceof PDFHexString) return obj.decodeText();
+  if(obj instanceof PDFName) return obj.decodeText();
+  if(obj instanceof PDFNumber) return obj.asNumber();
+  if(obj instanceof PDFBool) return obj.asBoolean();
+  return obj ? obj.toString() : null;
+}
+
+// visit every [name, value] leaf of a name tree (Names arrays, descending through Kids)
+function walkNameTree(context, node, visit, seen = new Set()){
+  const { PDFDict, PDFArray, PDFName } = PDFLib;
+  node = context.lookup(node);
+  if(!(node instanceof PDFDict) || seen.has(node)) return; seen.add(node);
+  const names = context.lookup(node.get(PDFName.of('Names')));
+  if(names instanceof PDFArray) for(let i=0;i+1<names.size();i+=2) visit(decodePdfValue(context.lookup(names.get(i))), context.lookup(names.get(i+1)));
+  const kids = context.lookup(node.get(PDFName.of('Kids')));
+  if(kids instanceof PDFArray) for(let i=0;i<kids.size();i++) walkNameTree(context, kids.get(i), visit, seen);
+}
+
+// read the code of a JavaScript action (a string or a stream)
+function actionScript(context, action){
+  const { PDFName, PDFStream } = PDFLib;
+  const js = context.lookup(action.get(PDFName.of('JS')));
+  const code = js instanceof PDFStream ? new TextDecoder('latin1').decode(PDFLib.decodePDFRawStream(js).decode()) : decodePdfValue(js) || '';
+  return code.length > 200 ? code.slice(0,200)+'…' : code;
+}
+
+function scanMetadata(pdfDoc){
+  const { PDFName, PDFDict, PDFArray, PDFStream } = PDFLib;
+  const context = pdfDoc.context, catalog = pdfDoc.catalog;
+  const report = { info:{}, xmp:null, xmpStreams:0, pieceInfo:0, attachments:[], javascript:[], annotations:[], formFields:[], documentId:null };
+  const info = context.lookup(context.trailerInfo.Info);
+  if(info instanceof PDFDict) info.entries().forEach(([k,v])=>{ report.info[k.decodeText()] = decodePdfValue(context.lookup(v)); });
+  const xmp = context.lookup(catalog.get(PDFName.of('Metadata')));
+  if(xmp instanceof PDFStream){ try{ report.xmp = new TextDecoder('utf-8').decode(PDFLib.decodePDFRawStream(xmp).decode()); }catch(e){ report.xmp = '(unreadable XMP stream)'; } }
+  const names = context.lookup(catalog.get(PDFName.of('Names')));
+  if(names instanceof PDFDict){
+    walkNameTree(context, names.get(PDFName.of('EmbeddedFiles')), (name, spec)=>{
+      const ef = spec instanceof PDFDict && context.lookup(spec.get(PDFName.of('EF'))); const stream = ef instanceof PDFDict && context.lookup(ef.get(PDFName.of('F')));
+      report.attachments.push({ name: decodePdfValue(spec && context.lookup(spec.get(PDFName.of('UF')) || spec.get(PDFName.of('F')))) || name, size: stream instanceof PDFStream ? stream.getContentsSize() : null, where:'document' });
+    });
+    walkNameTree(context, names.get(PDFName.of('JavaScript')), (name, action)=>{ if(action instanceof PDFDict) report.javascript.push({ where:`document script "${name}"`, type:'JavaScript', code: actionScript(context, action) }); });
+  }
+  const noteAction = (action, where)=>{
+    action = context.lookup(action);
+    if(!(action instanceof PDFDict)) return;
+    const s = decodePdfValue(action.get(PDFName.of('S')));
+    if(UNSAFE_ACTIONS.includes(s)) report.javascript.push({ where, type:s, code: s==='JavaScript' ? actionScript(context, action) : decodePdfValue(context.lookup(action.get(PDFName.of('F')))) });
+  };
+  const noteAA = (dict, where)=>{ const aa = context.lookup(dict.get(PDFName.of('AA'))); if(aa instanceof PDFDict) aa.entries().forEach(([k,v])=>noteAction(v, `${where} (${k.decodeText()} trigger)`)); };
+  noteAction(catalog.get(PDFName.of('OpenAction')), 'document open action'); noteAA(catalog, 'document');
+  pdfDoc.getPages().forEach((page, i)=>{
+    const node = page.node, where = `page ${i+1}`;
+    noteAA(node, where);
+    if(node.get(PDFName.of('PieceInfo'))) report.pieceInfo++;
+    const annots = context.lookup(node.get(PDFName.of('Annots')));
+    if(!(annots instanceof PDFArray)) return;
+    for(let a=0;a<annots.size();a++){
+      const annot = context.lookup(annots.get(a)); if(!(annot instanceof PDFDict)) continue;
+      const subtype = decodePdfValue(annot.get(PDFName.of('Subtype')));
+      noteAction(annot.get(PDFName.of('A')), `${where} ${subtype} annotation`); noteAA(annot, `${where} ${subtype} annotation`);
+      if(subtype==='FileAttachment'){ const fs = context.lookup(annot.get(PDFName.of('FS'))); report.attachments.push({ name: fs instanceof PDFDict ? decodePdfValue(context.lookup(fs.get(PDFName.of('UF')) || fs.get(PDFName.of('F')))) : 'attachment', size:null, where }); }
+      else if(!['Link','Widget','Popup'].includes(subtype)) report.annotations.push({ page:i+1, subtype, author: decodePdfValue(context.lookup(annot.get(PDFName.of('T')))) });
+    }
+  });
+  if(catalog.get(PDFName.of('PieceInfo'))) report.pieceInfo++;
+  context.enumerateIndirectObjects().forEach(([, obj])=>{ if(obj instanceof PDFStream && obj.dict.get(PDFName.of('Type'))===PDFName.of('Metadata')) report.xmpStreams++; });
+  const acroForm = context.lookup(catalog.get(PDFName.of('AcroForm')));
+  if(acroForm instanceof PDFDict){
+    const visit = (ref, prefix, type, seen)=>{
+      const field = context.lookup(ref); if(!(field instanceof PDFDict) || seen.has(field)) return; seen.add(field);
+      const part = decodePdfValue(context.lookup(field.get(PDFName.of('T'))));
+      const name = part ? (prefix ? prefix+'.'+part : part) : prefix; const ft = decodePdfValue(field.get(PDFName.of('FT'))) || type;
+      noteAA(field, `form field "${name}"`);
+      const kids = context.lookup(field.get(PDFName.of('Kids')));
+      const hasFieldKids = kids instanceof PDFArray && kids.asArray().some(k=>{ const kid = context.lookup(k); return kid instanceof PDFDict && kid.get(PDFName.of('T')); });
+      if(hasFieldKids) kids.asArray().forEach(k=>visit(k, name, ft, seen));
+      else if(part) report.formFields.push({ name, type: ft, value: decodePdfValue(context.lookup(field.get(PDFName.of('V')))) });
+    };
+    const fields = context.lookup(acroForm.get(PDFName.of('Fields'))); const seen = new Set();
+    if(fields instanceof PDFArray) fields.asArray().forEach(f=>visit(f, '', null, seen));
+    if(acroForm.get(PDFName.of('XFA'))) report.formFields.push({ name:'(XFA form data)', type:'XFA', value:null });
+  }
+  const id = context.lookup(context.trailerInfo.ID);
+  if(id instanceof PDFArray) report.documentId = id.asArray().map(v=>{ const s = context.lookup(v); return s && s.asBytes ? bytesToHex(s.asBytes()) : String(s); });
+  return report;
+}
+
+// what is still present in the categories that were meant to be stripped
+function remainingMetadata(report, options, edited){
+  const left = [];
+  if(options.info!==false) Object.keys(report.info).filter(k=>!edited.includes(k)).forEach(k=>left.push(`Info ${k}`));
+  if(options.xmp!==false && (report.xmp || report.xmpStreams)) left.push(`${report.xmpStreams || 1} XMP metadata stream(s)`);
+  if(options.xmp!==false && report.pieceInfo) left.push('application private data (PieceInfo)');
+  if(options.attachments!==false) report.attachments.forEach(a=>left.push(`attachment ${a.name}`));
+  if(options.javascript!==false) report.javascript.forEach(j=>left.push(`${j.type} in ${j.where}`));
+  if(options.annotations!==false) report.annotations.forEach(a=>left.push(`${a.subtype} annotation on page ${a.page}`+(a.author ? ` by ${a.author}` : '')));
+  if(options.forms && report.formFields.length) left.push(`${report.formFields.length} form field(s)`);
+  if(options.documentId!==false && report.documentId) left.push('document ID');
+  return left;
+}
+
+// delete every indirect object that can no longer be reached from the trailer
+function pruneUnreachable(context){
+  const { PDFRef, PDFDict, PDFArray, PDFStream } = PDFLib;
+  const reached = new Set(), stack = [context.trailerInfo.Root, context.trailerInfo.Info, context.trailerInfo.Encrypt];
+  while(stack.length){
+    let obj = stack.pop();
+    if(obj instanceof PDFRef){ if(reached.has(obj)) continue; reached.add(obj); obj = context.lookup(obj); }
+    if(obj instanceof PDFStream) obj = obj.dict;
+    if(obj instanceof PDFDict) obj.entries().forEach(([, v])=>stack.push(v));
+    else if(obj instanceof PDFArray) stack.push(...obj.asArray());
+  }
+  context.enumerateIndirectObjects().forEach(([ref])=>{ if(!reached.has(ref)) context.delete(ref); });
+}
+
+function scrubMetadata(pdfDoc, options, edit){
+  const { PDFName, PDFDict, PDFArray, PDFStream, PDFHexString } = PDFLib;
+  const context = pdfDoc.context, catalog = pdfDoc.catalog; const on = k=>options[k]!==false;
+  const isUnsafeAction = a=>{ a = context.lookup(a); return a instanceof PDFDict && UNSAFE_ACTIONS.includes(decodePdfValue(a.get(PDFName.of('S')))); };
+  if(options.forms){
+    try{ pdfDoc.getForm().flatten(); }catch(e){ console.warn('Could not flatten form fields', e); }
+    catalog.delete(PDFName.of('AcroForm'));
+  }
+  pdfDoc.getPages().forEach(page=>{
+    const annots = context.lookup(page.node.get(PDFName.of('Annots')));
+    if(!(annots instanceof PDFArray)) return;
+    const keep = annots.asArray().filter(ref=>{
+      const annot = context.lookup(ref); if(!(annot instanceof PDFDict)) return true;
+      const subtype = decodePdfValue(annot.get(PDFName.of('Subtype')));
+      if(subtype==='Link') return true;
+      if(subtype==='Widget') return !options.forms;
+      if(subtype==='FileAttachment') return !on('attachments');
+      return !on('annotations');
+    });
+    if(keep.length) page.node.set(PDFName.of('Annots'), context.obj(keep)); else page.node.delete(PDFName.of('Annots'));
+  });
+  const names = context.lookup(catalog.get(PDFName.of('Names')));
+  if(names instanceof PDFDict){
+    if(on('attachments')) names.delete(PDFName.of('EmbeddedFiles'));
+    if(on('javascript')) names.delete(PDFName.of('JavaScript'));
+  }
+  if(on('attachments')) catalog.delete(PDFName.of('AF'));
+  if(on('javascript') && isUnsafeAction(catalog.get(PDFName.of('OpenAction')))) catalog.delete(PDFName.of('OpenAction'));
+  // keys that may sit on the catalog, pages, annotations, fields or XObjects anywhere in the file
+  const dicts = [catalog, ...context.enumerateIndirectObjects().map(([, o])=>o instanceof PDFStream ? o.dict : o).filter(o=>o instanceof PDFDict)];
+  dicts.forEach(d=>{
+    if(on('xmp')){ d.delete(PDFName.of('Metadata')); d.delete(PDFName.of('PieceInfo')); d.delete(PDFName.of('LastModified')); }
+    if(on('javascript')){ d.delete(PDFName.of('AA')); if(isUnsafeAction(d.get(PDFName.of('A')))) d.delete(PDFName.of('A')); if(isUnsafeAction(d.get(PDFName.of('Next')))) d.delete(PDFName.of('Next')); }
+  });
+  let info = context.lookup(context.trailerInfo.Info);
+  if(on('info')){ if(context.trailerInfo.Info instanceof PDFLib.PDFRef) context.delete(context.trailerInfo.Info); context.trailerInfo.Info = undefined; info = null; }
+  const edits = INFO_EDIT_KEYS.filter(k=>edit[k]!=null);
+  if(edits.length){
+    if(!(info instanceof PDFDict)){ info = context.obj({}); context.trailerInfo.Info = context.register(info); }
+    edits.forEach(k=>{ if(String(edit[k]).trim()) info.set(PDFName.of(k), PDFHexString.fromText(String(edit[k]))); else info.delete(PDFName.of(k)); });
+  }
+  if(on('documentId')) context.trailerInfo.ID = undefined;
+  pruneUnreachable(context);
+  return edits.filter(k=>String(edit[k]).trim());
+}
+
+async function inspectMetadata(file){
+  validatePDF(file); await ensurePdfLib();
+  const pdfDoc = await PDFLib.PDFDocument.load(await readPDF(file), { updateMetadata:false });
+  return scanMetadata(pdfDoc);
+}
+
+async function removeMetadata(file, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const array = await readPDF(file); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array, { updateMetadata:false });
+    const before = scanMetadata(pdfDoc); task.progress(30);
+    const edited = scrubMetadata(pdfDoc, options, options.edit || {}); task.progress(60);
+    const bytes = await pdfDoc.save({ updateFieldAppearances:false });
+    const after = scanMetadata(await PDFDocument.load(bytes, { updateMetadata:false }));
+    if(options.onReport) options.onReport({ before, after, remaining: remainingMetadata(after, options, edited) });
+    task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-nometa.pdf'); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+// crop a loaded document's pages in place by margins in points
+function cropPages(pdfDoc, margins){
+  pdfDoc.getPages().forEach(p=>{ const {width,height} = p.getSize(); p.setMediaBox(margins.left, margins.bottom, width-margins.left-margins.right, height-margins.top-margins.bottom); });
+  return pdfDoc;
+}
+
+/* 14. cropPDF - crop pages by margins {top,right,bottom,left} in points */
+async function cropPDF(file, margins={top:0,right:0,bottom:0,left:0}, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const array = await readPDF(file); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
+    cropPages(pdfDoc, margins);
+    const bytes = await pdfDoc.save(); task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-cropped.pdf'); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+// an Image XObject as a file: JPEG and JPEG 2000 streams pass through untouched, anything decodeImagePixels
+// understands is rebuilt as a PNG. returns { data (Uint8Array), ext:'jpg'|'jp2'|'png' }, or null if it can't be decoded
+async function encodeImageXObject(context, stream){
+  const filters = imageFilters(stream.dict); const last = filters[filters.length-1];
+  if(filters.length===1 && (last==='DCTDecode' || last==='JPXDecode')) return { data: stream.contents, ext: last==='DCTDecode' ? 'jpg' : 'jp2' };
+  const pixels = decodeImagePixels(context, stream);
+  if(!pixels) return null;
+  const canvas = createCanvas(pixels.width, pixels.height);
+  canvas.getContext('2d').putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+  return { data: new Uint8Array(await (await canvasToBlob(canvas,'image/png')).arrayBuffer()), ext:'png' };
+}
+
+// the images of a loaded document as a ZIP blob with manifest.json, or null when none could be extracted
+async function zipImages(pdfDoc, sourceName, task){
+  await ensureJSZip();
+  const { PDFName, PDFRawStream } = PDFLib;
+  const zip = new JSZip(); const manifest = []; const perPage = {};
+  const images = collectImageXObjects(pdfDoc);
+  for(let i=0;i<images.length;i++){
+    const { stream, name, pageIndex } = images[i]; const dict = stream.dict;
+    const filters = imageFilters(dict);
+    const cs = dict.lookup(PDFName.of('ColorSpace'));
+    const entry = {
+      page: pageIndex+1, name, width: dictNumber(dict,'Width'), height: dictNumber(dict,'Height'),
+      filter: filters.join(',') || 'none', colorSpace: cs ? (cs instanceof PDFName ? cs.decodeText() : cs.toString()) : null,
+      bitsPerComponent: dictNumber(dict,'BitsPerComponent',0) || null, hasSMask: dict.lookup(PDFName.of('SMask')) instanceof PDFRawStream
+    };
+    const n = perPage[pageIndex] = (perPage[pageIndex]||0)+1;
+    const base = `page-${pageIndex+1}-image-${n}`;
+    try{
+      const encoded = await encodeImageXObject(pdfDoc.context, stream);
+      if(!encoded) throw new Error('Unsupported image encoding '+entry.filter);
+      entry.file = base+'.'+encoded.ext;
+      zip.file(entry.file, encoded.data);
+    }catch(e){ console.warn('Could not extract', base, e); entry.file = null; entry.skipped = e.message; }
+    manifest.push(entry);
+    task.progress(100*(i+1)/images.length, { stage:`Extracting image ${i+1} of ${images.length}` });
+  }
+  if(!manifest.some(m=>m.file)) return null;
+  zip.file('manifest.json', JSON.stringify({ source:sourceName, images:manifest }, null, 2));
+  return await zip.generateAsync({ type:'blob' });
+}
+
+/* 15. extractImages - pull every Image XObject out of the page resources (including nested Form XObjects)
+   into a single ZIP. DCTDecode (JPEG) and JPXDecode (JPEG 2000) streams are passed through untouched;
+   everything we can decode is rebuilt as PNG with its colour space resolved and SMask applied as alpha.
+   manifest.json in the ZIP lists page, size, filter and colour space for each image. */
+async function extractImages(file, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); await ensureJSZip(); task.progress(5);
+    const array = await readPDF(file); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
+    const blob = await zipImages(pdfDoc, file.name, task.step(5, 95));
+    task.progress(100);
+    if(!blob){ task.notify('No extractable images found in this PDF.'); return null; }
+    task.download(blob, file.name.replace(/\.pdf$/i,'')+'-images.zip');
+    return blob;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* 16. pdfToPNG - render pages to PNG (all pages unless options.pages is given); see renderPagesToImages */
+async function pdfToPNG(file, options={}){
+  try{ return await renderPagesToImages(file, { format:'png', ...options }); }catch(err){handleError(err, options);throw err}
+}
+
+// a new document with the pages in the given 1-based order; numbers outside the document are ignored
+async function orderPages(pdfDoc, newOrder){
+  return await copyPagesToNew(pdfDoc, newOrder.map(n=>n-1).filter(i=>i>=0&&i<pdfDoc.getPageCount()));
+}
+
+/* 17. reorderPages(file, newOrder) - newOrder array 1-based */
+async function reorderPages(file, newOrder, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const array = await readPDF(file); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
+    const bytes = await (await orderPages(pdfDoc, newOrder)).save(); task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-reordered.pdf'); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+// a new document without the given 1-based pages
+async function withoutPages(pdfDoc, pagesToDelete){
+  const keep=[]; const total = pdfDoc.getPageCount(); for(let i=0;i<total;i++){ if(!pagesToDelete.includes(i+1)) keep.push(i); }
+  return await copyPagesToNew(pdfDoc, keep);
+}
+
+/* 18. deletePages(file, pagesToDelete) - pagesToDelete array 1-based */
+async function deletePages(file, pagesToDelete, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const array = await readPDF(file); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
+    const bytes = await (await withoutPages(pdfDoc, pagesToDelete)).save(); task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-delpages.pdf'); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* 19. extractFirstPage */
+async function extractFirstPage(file, options={}){ return await splitPDF(file, { ...options, pages:[1] }); }
+
+/* 20. extractLastPage */
+async function extractLastPage(file, options={}){ try{validatePDF(file); const arr = await readPDF(file); await ensurePdfLib(); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(arr); const last = pdfDoc.getPageCount(); return await splitPDF(file, { ...options, pages:[last] }); }catch(err){handleError(err, options);throw err} }
+
+// one page of a PDF (given as bytes) rendered width pixels wide as a PNG Blob, with the viewport transform for overlays
+async function pagePreview(array, pageNumber, width){
+  await ensurePdfJs();
+  const doc = await openPdfJs(array);
+  const page = await doc.getPage(Math.min(Math.max(1, pageNumber), doc.numPages));
+  const scale = width / page.getViewport({ scale: 1 }).width; const canvas = await renderPageToCanvas(page, scale);
+  return { blob: await canvasToBlob(canvas, 'image/png'), width: canvas.width, height: canvas.height, pages: doc.numPages, transform: page.getViewport({ scale }).transform };
+}
+
+/* 21. renderPageThumbnails - small PNG previews of every page for the page organiser, [{ page, blob, width, height }]
+   (show one with URL.createObjectURL). renderPagePreview(file, pageNumber, { width }) renders a single page larger
+   and returns { blob, width, height, pages, transform }, where transform is the PDF.js viewport matrix from
+   PDF user space to preview pixels, so a tool can draw overlays or map clicks back to points */
+async function renderPageThumbnails(file, options={}){
+  const { width=140 } = options; const task = createTask(options);
+  validatePDF(file); await ensurePdfJs();
+  const doc = await openPdfJs(await readPDF(file)); const thumbs = [];
+  for(let p=1;p<=doc.numPages;p++){
+    const page = await doc.getPage(p);
+    const canvas = await renderPageToCanvas(page, width / page.getViewport({ scale: 1 }).width);
+    thumbs.push({ page:p, blob: await canvasToBlob(canvas, 'image/png'), width: canvas.width, height: canvas.height });
+    task.progress(5 + 90*p/doc.numPages);
+  }
+  task.progress(100);
+  return thumbs;
+}
+
+async function renderPagePreview(file, pageNumber=1, { width=700 } = {}){
+  validatePDF(file);
+  return await pagePreview(await readPDF(file), pageNumber, width);
+}
+
+/* 22. organizePages(file, layout, options) - apply the page organiser's edits in a single pdf-lib pass.
+   layout: pages in their new order, each { page (1-based source page), rotate (degrees to add), deleted, selected }
+   options.extract: output only the selected (non-deleted) pages instead of the whole edited document */
+async function organizePages(file, layout, options={}){
+  const { extract=false } = options; const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const array = await readPDF(file); const { PDFDocument, degrees } = PDFLib; const pdfDoc = await PDFDocument.load(array);
+    const total = pdfDoc.getPageCount();
+    const entries = layout.filter(e=>!e.deleted && (!extract || e.selected) && e.page>=1 && e.page<=total);
+    if(!entries.length) throw new Error(extract ? 'No pages selected to extract' : 'Every page has been deleted');
+    const out = await PDFDocument.create();
+    const copied = await out.copyPages(pdfDoc, entries.map(e=>e.page-1));
+    copied.forEach((p,i)=>{
+      const delta = entries[i].rotate || 0;
+      if(delta){ const r = ((p.getRotation().angle || 0) + delta)%360; p.setRotation(degrees(r<0 ? r+360 : r)); }
+      out.addPage(p);
+    });
+    const bytes = await out.save(); task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+(extract ? '-extracted.pdf' : '-organized.pdf')); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* 23. pipeline(steps) - chain tools in memory, e.g.
+     ToolMetric.pipeline([{ tool:'merge' }, { tool:'pageNumbers' }, { tool:'watermark', options:{ text:'DRAFT' } }, { tool:'compress' }]).run(files)
+   steps are { tool, options } naming an entry of PIPELINE_TOOLS, or async functions (file, options) => bytes | PDFDocument | Blob;
+   options ({ quiet, onProgress }) can be handed on to a ToolMetric tool so it reports into the pipeline instead of downloading.
+   each file is loaded once: the tools edit the same PDFDocument in turn and it is saved when the chain ends (or a step
+   needs it as a file). 'combine' tools (merge, images) turn every current file into one; the others run once per file.
+   'final' tools produce non-PDF output and may only be the last step.
+   run(inputs, { onProgress, download }) takes Files, Blobs, bytes or PDFDocuments and resolves to the output Files;
+   nothing is downloaded unless download is true (one file as-is, several as a ZIP).
+   onProgress receives { step, steps, tool, file, files, percent } where percent covers the whole chain. */
+// a step's page selection as 1-based numbers, checked against the document like keepPages: an empty selection
+// or a page past the end throws instead of quietly dropping out
+function stepPages(sel, pdfDoc, what){
+  const total = pdfDoc.getPageCount();
+  if(!(Array.isArray(sel) ? sel.length : String(sel??'').trim())) throw new Error(`Enter the pages to ${what}`);
+  const numbers = Array.isArray(sel) ? sel : String(sel).match(/\d+/g) || [];
+  const highest = Math.max(0, ...numbers.map(Number));
+  if(highest > total) throw new Error(`Page ${highest} does not exist (the PDF has ${total})`);
+  return parsePageRange(sel, total).map(i=>i+1);
+}
+
+// the pipeline's reorder step takes a full permutation: every page exactly once, so none is lost or duplicated by a typo
+function stepOrder(sel, pdfDoc){
+  const total = pdfDoc.getPageCount(), order = stepPages(sel, pdfDoc, 'reorder, in their new order');
+  const repeated = order.find((n,i)=>order.indexOf(n)!==i);
+  if(repeated) throw new Error(`Page ${repeated} appears more than once in the new order`);
+  const missing = Array.from({ length:total }, (_,i)=>i+1).filter(n=>!order.includes(n));
+  if(missing.length) throw new Error(`The new order must list all ${total} pages once; missing ${missing.join(', ')}`);
+  return order;
+}
+
+function stepDeletions(sel, pdfDoc){
+  const pages = stepPages(sel, pdfDoc, 'delete');
+  if(new Set(pages).size >= pdfDoc.getPageCount()) throw new Error('Deleting every page would leave an empty PDF');
+  return pages;
+}
+// run(input, options, task, name): input is the item's PDFDocument (an array of them for combine tools), or its File
+// for input:'file' tools; name is the output's base name. a returned PDFDocument carries on to the next step
+const PIPELINE_TOOLS = {
+  merge: { label:'Merge PDFs', combine:true, options:[], run:(docs,o,task)=>mergeDocuments(docs, task) },
+  images: { label:'Images to PDF', combine:true, input:'file', options:[
+    { key:'pageSize', label:'Page size', type:'select', choices:['a4','letter','fit'], default:'a4' },
+    { key:'orientation', label:'Orientation', type:'select', choices:['auto','portrait','landscape'], default:'auto' },
+    { key:'fit', label:'Fit', type:'select', choices:['contain','cover','stretch'], default:'contain' },
+    { key:'margin', label:'Margin (pt)', type:'number', default:0 }
+  ], run:(files,o,task)=>imagesToDocument(files, o, task) },
+  wordToPDF: { label:'Word to PDF', input:'file', options:[], run:(file,o,task)=>wordToDocument(file, task) },
+  compress: { label:'Compress', options:[
+    { key:'level', label:'Level', type:'select', choices:['low','medium','high'], default:'medium' },
+    { key:'targetBytes', label:'Target size (bytes, 0 = none)', type:'number', default:0 }
+  ], run:async(doc,o,task)=>(await compressBytes(await doc.save(), o, task)).bytes },
+  removeBlankPages: { label:'Remove blank pages', options:[{ key:'tolerance', label:'Tolerance (%)', type:'number', default:0.5 }], run:async(doc,o,task)=>(await dropBlankPages(doc, o, task)).doc },
+  split: { label:'Keep pages', options:[{ key:'pages', label:'Pages', type:'text', default:'1' }], run:(doc,o)=>keepPages(doc, o.pages) },
+  deletePages: { label:'Delete pages', options:[{ key:'pages', label:'Pages', type:'text', default:'' }], run:(doc,o)=>withoutPages(doc, stepDeletions(o.pages, doc)) },
+  reorder: { label:'Reorder pages', options:[{ key:'order', label:'New order (every page once)', type:'text', default:'' }], run:(doc,o)=>orderPages(doc, stepOrder(o.order, doc)) },
+  rotate: { label:'Rotate', options:[
+    { key:'angle', label:'Angle', type:'select', choices:['90','180','270'], default:'90' },
+    { key:'pages', label:'Pages (blank = all)', type:'text', default:'' }
+  ], run:(doc,o)=>rotatePages(doc, Number(o.angle)||90, o.pages) },
+  crop: { label:'Crop margins', options:['top','right','bottom','left'].map(k=>({ key:k, label:k[0].toUpperCase()+k.slice(1)+' (pt)', type:'number', default:0 })),
+    run:(doc,o)=>cropPages(doc, { top:Number(o.top)||0, right:Number(o.right)||0, bottom:Number(o.bottom)||0, left:Number(o.left)||0 }) },
+  pageNumbers: { label:'Add page numbers', options:[
+    { key:'format', label:'Format', type:'text', default:'{n}' }, { key:'start', label:'Start at', type:'number', default:1 },
+    { key:'style', label:'Style', type:'select', choices:Object.keys(PAGE_NUMBER_STYLES), default:'arabic' },
+    { key:'position', label:'Position', type:'select', choices:PAGE_NUMBER_POSITIONS, default:'bottom' },
+    { key:'skip', label:'Skip first pages', type:'number', default:0 }
+  ], run:async(doc,o,task,name)=>{ await stampPageNumbers(doc, { filename:name, ...o, format:o.format || '{n}', skip:Number(o.skip)||0 }); return doc; } },
+  removePageNumbers: { label:'Remove page numbers', options:[], run:async(doc,o,task)=>{ await stripPageNumbers(doc, {}, task); return doc; } },
+  watermark: { label:'Watermark', options:[
+    { key:'text', label:'Text', type:'text', default:'CONFIDENTIAL' },
+    { key:'position', label:'Position', type:'select', choices:[...STAMP_ANCHORS, 'tile'], default:'center' },
+    { key:'size', label:'Font size', type:'number', default:40 },
+    { key:'color', label:'Colour', type:'text', default:'#e6e6e6' },
+    { key:'opacity', label:'Opacity (0-1)', type:'number', default:0.15 },
+    { key:'rotation', label:'Rotation (°)', type:'number', default:-30 },
+    { key:'pages', label:'Pages (blank = all)', type:'text', default:'' }
+  ], run:async(doc,o)=>{ await stampWatermark(doc, { ...o, size:Number(o.size)||40, rotation:Number(o.rotation)||0 }); return doc; } },
+  removeMetadata: { label:'Remove metadata', options:[], run:doc=>{ scrubMetadata(doc, {}, {}); return doc; } },
+  redact: { label:'Redact text', options:[
+    { key:'search', label:'Text (comma separated)', type:'text', default:'' },
+    { key:'pattern', label:'Also redact', type:'select', choices:['none', ...Object.keys(REDACTION_PATTERNS)], default:'none' }
+  ], run:async(doc,o,task)=>{ await redactDocument(doc, { search: String(o.search||'').split(',').concat(o.pattern && o.pattern!=='none' ? [new RegExp(REDACTION_PATTERNS[o.pattern].pattern)] : []) }, task); return doc; } },
+  toImages: { label:'Export pages as images', final:true, options:[
+    { key:'format', label:'Format', type:'select', choices:['png','jpeg','webp'], default:'png' },
+    { key:'dpi', label:'DPI', type:'number', default:150 }, { key:'pages', label:'Pages (blank = all)', type:'text', default:'' }
+  ], run:async(doc,o,task,name)=>renderPageImages(await doc.save(), name, { ...o, dpi:Number(o.dpi)||150 }, task) },
+  ocr: { label:'Make searchable (OCR)', options:[
+    { key:'lang', label:'Language', type:'text', default:'eng' },
+    { key:'skipText', label:'Skip pages with text', type:'select', choices:['yes','no'], default:'yes' }
+  ], run:async(doc,o,task)=>{ await addOcrTextLayer(doc, { lang:o.lang || 'eng', skipText:o.skipText!=='no' }, task); return doc; } },
+  extractImages: { label:'Extract images (ZIP)', final:true, options:[], run:(doc,o,task,name)=>zipImages(doc, name+'.pdf', task) },
+  toWord: { label:'Convert to Word', final:true, options:[], run:async(doc,o,task)=>createDocxFromLayout(await analysePdfPages(await doc.save(), {}, task)) },
+  toText: { label:'Export text', final:true, options:[
+    { key:'format', label:'Format', type:'select', choices:['txt','html','md'], default:'txt' }, { key:'pages', label:'Pages (blank = all)', type:'text', default:'' }
+  ], run:async(doc,o,task,name)=>exportLayout(await doc.save(), o.format, name, { pages:o.pages }, task) }
+};
+
+// turn whatever a tool returned into output Files named after the input
+async function stepOutputs(result, base, tool){
+  if(result==null) return [];
+  if(Array.isArray(result) && result.every(r=>r && r.blob)) return result.map(r=>new File([r.blob], r.name, { type:r.blob.type }));
+  if(result instanceof Blob && !(result instanceof File)){
+    const text = Object.values(EXPORT_FORMATS).find(f=>f.type===result.type);
+    const ext = result.type.includes('zip') ? (tool==='extractImages' ? '-images.zip' : '.zip') : result.type.includes('wordprocessingml') ? '.docx' : text ? '.'+text.ext : '.pdf';
+    return [new File([result], base+ext, { type:result.type })];
+  }
+  return [await toFile(result, base+'.pdf')];
+}
+
+// what a step works on for one item ({ name, file, doc }): its document, loaded the first time a tool needs it,
+// or its file, saved from the document when the step takes files
+async function stepInput(item, def){
+  if(def.input==='file'){
+    if(item.doc){ item.file = await toFile(item.doc, item.name+'.pdf'); item.doc = null; }
+    return item.file;
+  }
+  if(!item.doc){ validatePDF(item.file); await ensurePdfLib(); item.doc = await PDFLib.PDFDocument.load(await readPDF(item.file)); item.file = null; }
+  return item.doc;
+}
+
+// a step's result as items: a PDFDocument stays loaded for the next step, anything else becomes files
+async function stepItems(result, name, tool){
+  if(window.PDFLib && result instanceof PDFLib.PDFDocument) return [{ name, doc: result }];
+  return (await stepOutputs(result, name, tool)).map(file=>({ name: file.name.replace(/\.[a-z0-9]+$/i,''), file }));
+}
+
+function resolvePipeline(steps){
+  if(!Array.isArray(steps) || !steps.length) throw new Error('A pipeline needs at least one step');
+  return steps.map((step,i)=>{
+    if(typeof step==='function') return { label: step.name || 'Custom step', input:'file', options:{},
+      run:(file,o,task)=>step(file, { quiet:true, signal:task.signal, onProgress:({ percent, ...detail })=>task.progress(percent, detail) }) };
+    const def = PIPELINE_TOOLS[step && step.tool];
+    if(!def) throw new Error(`Step ${i+1}: unknown tool "${step && step.tool}"`);
+    if(def.final && i<steps.length-1) throw new Error(`Step ${i+1}: "${def.label}" produces non-PDF output and must be the last step`);
+    const options = {}; def.options.forEach(o=>{ options[o.key] = o.default; });
+    return { ...def, tool: step.tool, options: { ...options, ...(step.options||{}) } };
+  });
+}
+
+// pipeline(steps).run(inputs, options); in a worker when every step is a named tool other than wordToPDF
+async function runPipeline(steps, inputs, options={}){
+  const resolved = resolvePipeline(steps);
+  const { onProgress, signal, download=false } = options;
+  const task = createTask({ onProgress, signal });
+  const list = Array.isArray(inputs) ? inputs : [inputs];
+  try{
+    if(!list.length) throw new Error('No files');
+    let current = [];
+    for(let i=0;i<list.length;i++){
+      const name = (list[i].name || (list.length>1 ? `document-${i+1}.pdf` : 'document.pdf')).replace(/\.[a-z0-9]+$/i,'');
+      current.push(window.PDFLib && list[i] instanceof PDFLib.PDFDocument ? { name, doc: list[i] } : { name, file: await toFile(list[i], list[i].name || name+'.pdf') });
+    }
+    for(let s=0;s<resolved.length;s++){
+      const step = resolved[s]; const batches = step.combine ? [current] : current.map(item=>[item]); const next = [];
+      for(let b=0;b<batches.length;b++){
+        const batch = batches[b]; const name = step.combine && batch.length>1 ? (step.tool==='merge' ? 'merged' : 'images') : batch[0].name;
+        const source = batch[0].file ? batch[0].file.name : batch[0].name+'.pdf';
+        const stepTask = task.step(100*(s + b/batches.length)/resolved.length, 100*(s + (b+1)/batches.length)/resolved.length,
+          { step:s+1, steps:resolved.length, tool:step.label, file:b+1, files:batches.length });
+        try{
+          const inputs = [];
+          for(const item of batch) inputs.push(await stepInput(item, step));
+          next.push(...await stepItems(await step.run(step.combine ? inputs : inputs[0], step.options, stepTask, name), name, step.tool));
+        }catch(err){
+          if(err.name==='AbortError') throw err;
+          throw new Error(`Step ${s+1} (${step.label}) failed${batch.length===1 ? ' on '+source : ''}: ${err.message||err}`);
+        }
+        stepTask.progress(100);
+      }
+      if(!next.length) throw new Error(`Step ${s+1} (${step.label}) produced no output`);
+      current = next;
+    }
+    const files = [];
+    for(const item of current) files.push(item.file || await toFile(item.doc, item.name+'.pdf'));
+    if(download){
+      if(files.length===1) downloadBlob(files[0], files[0].name);
+      else { await ensureJSZip(); const zip = new JSZip(); files.forEach(f=>zip.file(f.name, f)); downloadBlob(await zip.generateAsync({ type:'blob' }), 'pipeline-results.zip'); }
+    }
+    return files;
+  }catch(err){ handleError(err, task); throw err; }
+}
+
+function pipeline(steps){
+  const resolved = resolvePipeline(steps);
+  const offloadable = steps.every(step=>typeof step!=='function' && step.tool!=='wordToPDF');
+  const sendable = input=>input instanceof Blob || input instanceof ArrayBuffer || ArrayBuffer.isView(input);
+  return { steps: resolved, run(inputs, options={}){
+    const list = Array.isArray(inputs) ? inputs : [inputs];
+    return offloadable && list.every(sendable) ? window.ToolMetric.runPipeline(steps, list, options) : runPipeline(steps, list, options);
+  } };
+}
+
+// which argument holds each tool's options: its index, or [index, key] where a plain value stands for { [key]: value }
+// (splitPDF(file, '1-3') is splitPDF(file, { pages:'1-3' }))
+const TOOL_OPTIONS = {
+  compressPDF:1, removeBlankPages:1, analyzeBlankPages:1, splitPDF:[1,'pages'], rotatePDF:2, mergePDFs:1, pdfToWord:1, wordToPDF:1,
+  pdfToJPG:1, pdfToPNG:1, renderPagesToImages:1, jpgToPDF:1, addPageNumbers:1, batesNumber:1, removePageNumbers:1, detectPageNumbers:1,
+  addWatermark:[1,'text'], previewWatermark:1, removeMetadata:1, cropPDF:2, extractImages:1, reorderPages:2, deletePages:2,
+  extractFirstPage:1, extractLastPage:1, renderPageThumbnails:1, renderPagePreview:2, organizePages:2, protectPDF:1, unlockPDF:2,
+  runPipeline:2, redactPDF:1, findRedactions:1, makeSearchablePDF:1, exportText:2, pdfToText:1, pdfToHTML:1, pdfToMarkdown:1, extractTables:1
+};
+
+// args for calling tool with extra merged into its options (added when the call had none)
+function withToolOptions(tool, args, extra){
+  const spec = TOOL_OPTIONS[tool]; if(spec===undefined) return args;
+  const [index, key] = Array.isArray(spec) ? spec : [spec];
+  args = Array.from({ length: Math.max(args.length, index+1) }, (_,i)=>args[i]);
+  const options = args[index]==null ? {} : isPlainObject(args[index]) ? args[index] : { [key]: args[index] };
+  args[index] = { ...options, ...extra };
+  return args;
+}
+
+/* 24. batch(operation, files, options) - run one tool over many files, a few at a time, without stopping at failures.
+   operation: a ToolMetric function name ('rotatePDF') or a function (file, extra) => result that passes extra on in the
+              tool's options, e.g. (file, extra)=>addWatermark(file, { text:'DRAFT', ...extra }); extra ({ quiet, signal })
+              keeps the tool from downloading each file and lets the batch cancel it
+   options:
+     concurrency (number)    : files processed at once (default 2)
+     statusEl (element)      : receives a live per-file status list
+     onStatus (function)     : called with the per-file results whenever one changes
+     download (boolean)      : download the ZIP of results when done (default true)
+     zipName (string)        : name of that ZIP (default 'batch-results.zip')
+     signal (AbortSignal)    : stop the batch; files not finished yet are marked cancelled (the Cancel button does the same)
+   every output goes into the ZIP; failed files are listed in errors.txt inside it.
+   returns { results: [{ name, status:'queued'|'running'|'done'|'skipped'|'failed'|'cancelled', outputs, error }], zip } */
+function renderBatchStatus(el, results){
+  if(!el) return;
+  const done = results.filter(r=>r.status==='done').length, failed = results.filter(r=>r.status==='failed').length;
+  el.innerHTML = `<p class="muted"></p><ul class="batch-status"></ul>`;
+  el.querySelector('p').textContent = `${done} of ${results.length} done` + (failed ? `, ${failed} failed` : '');
+  results.forEach(r=>{ const li = document.createElement('li'); li.className = r.status; li.textContent = `${r.name} — ${r.status}${r.error ? ': '+r.error : ''}`; el.querySelector('ul').appendChild(li); });
+}
+
+async function batch(operation, files, { concurrency=2, statusEl, onStatus, download=true, zipName='batch-results.zip', signal } = {}){
+  const list = Array.from(files||[]);
+  if(!list.length) throw new Error('No files');
+  const tool = typeof operation==='function' ? operation : window.ToolMetric[operation];
+  if(typeof tool!=='function') throw new Error('Unknown operation: '+operation);
+  const results = list.map(f=>({ name: f.name, status:'queued', outputs:[], error:null }));
+  const update = ()=>{ renderBatchStatus(statusEl, results); if(onStatus) onStatus(results); };
+  const task = createTask(); let next = 0, finished = 0;
+  const controller = new AbortController(), untrack = trackCancellable(controller);
+  if(signal){ if(signal.aborted) controller.abort(); else signal.addEventListener('abort', ()=>controller.abort()); }
+  const extra = { quiet:true, signal: controller.signal };
+  const run = typeof operation==='function' ? file=>tool(file, extra) : file=>tool(...withToolOptions(operation, [file], extra));
+  update(); task.progress(0);
+  async function worker(){
+    while(next < list.length){
+      const i = next++; const r = results[i];
+      if(controller.signal.aborted){ r.status = 'cancelled'; r.error = 'cancelled'; continue; }
+      r.status = 'running'; update();
+      try{
+        r.outputs = await stepOutputs(await run(list[i]), list[i].name.replace(/\.[a-z0-9]+$/i,''), typeof operation==='string' ? operation : '');
+        r.status = r.outputs.length ? 'done' : 'skipped'; if(!r.outputs.length) r.error = 'no output';
+      }catch(err){ r.status = err.name==='AbortError' ? 'cancelled' : 'failed'; r.error = err.message || String(err); }
+      finished++; task.progress(100*finished/list.length); update();
+    }
+  }
+  try{
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, list.length)) }, worker)).finally(untrack);
+    update();
+    await ensureJSZip(); const zip = new JSZip(); const used = new Set();
+    results.forEach(r=>r.outputs.forEach(f=>{
+      let name = f.name, n = 1; while(used.has(name)) name = f.name.replace(/(\.[a-z0-9]+)?$/i, m=>`-${++n}${m}`);
+      used.add(name); zip.file(name, f);
+    }));
+    const failed = results.filter(r=>r.status!=='done');
+    if(failed.length) zip.file('errors.txt', failed.map(r=>`${r.name}: ${r.status} — ${r.error}`).join('\n')+'\n');
+    const blob = await zip.generateAsync({ type:'blob' });
+    task.progress(100);
+    if(download) downloadBlob(blob, zipName);
+    return { results, zip: blob };
+  }catch(err){ handleError(err, task); throw err; }
+}
+
+/* 25. protectPDF(file, options) - encrypt a PDF with the standard security handler
+   options:
+     userPassword (string)   : needed to open the document (may be empty when only restricting permissions)
+     ownerPassword (string)  : lifts the restrictions; defaults to the user password
+     algorithm               : 'aes-256' (default), 'aes-128' or 'rc4-128'
+     permissions             : { print, copy, modify } — each allowed unless set to false */
+async function protectPDF(file, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const { userPassword='', ownerPassword='' } = options;
+    if(!userPassword && !ownerPassword) throw new Error('Enter a password to protect the PDF with');
+    const array = await readPDF(file); const { PDFDocument, PDFWriter } = PDFLib;
+    const pdfDoc = await PDFDocument.load(array, { updateMetadata:false });
+    await pdfDoc.flush(); task.progress(30);
+    const handler = await createSecurityHandler(pdfDoc.context, options);
+    await cryptDocument(pdfDoc.context, handler, true); task.progress(80);
+    const bytes = await PDFWriter.forContext(pdfDoc.context, 50).serializeToBuffer();
+    task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-protected.pdf'); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* 26. unlockPDF(file, password) - remove encryption from a PDF whose password is known
+   (prompts for the password when it isn't given or is wrong; owner-password-only files need none) */
+async function unlockPDF(file, password='', options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    if(!hasEncryptEntry(new Uint8Array(await file.arrayBuffer()))) throw new Error('This PDF is not password protected');
+    const bytes = await readPDF(file, password);
+    task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-unlocked.pdf'); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* 27. redactPDF(file, options) - true redaction: what lies under each box is removed from the file, not just covered.
+   Glyphs are cut out of the page's content stream, image pixels under a box are painted black inside the image
+   itself, and touching annotations are dropped; then a black box is drawn. Pages where that isn't enough (text
+   inside Form XObjects, undecodable images, or text PDF.js can still extract afterwards) are rasterised.
+   options:
+     areas (array)            : boxes to redact, { page (1-based), x0, y0, x1, y1 } in PDF user space
+     search (string|array)    : text to find and redact; see findRedactions
+     regex, caseSensitive     : treat search terms as regular expressions / match case
+     pages (string)           : pages to search, e.g. '1-3,5' (blank = all)
+     rasterize (boolean)      : flatten every affected page to an image instead of editing it (default false)
+     fallback (boolean)       : rasterise pages that still leak after editing (default true)
+     dpi (number)             : resolution of rasterised pages (default 150)
+     onReport (function)      : receives { matches, pages:[{ page, boxes, glyphs, images, annotations, rasterized, reason }], leaks }
+                                where leaks lists text still extractable from a redacted area after the final pass
+   findRedactions(file, options) returns the search matches [{ page, text, box }] so they can be previewed first. */
+const pagesToSearch = (pages, total)=>String(pages||'').trim() ? parsePageRange(pages, total).map(i=>i+1) : Array.from({ length:total }, (_,i)=>i+1);
+
+async function findRedactions(file, options={}){
+  validatePDF(file);
+  return await searchRedactions(await readPDF(file), options, createTask(options).step(5, 100));
+}
+
+async function searchRedactions(array, { search, regex, caseSensitive, pages }, task){
+  await ensurePdfJs();
+  const regexps = redactionRegExps(search, { regex, caseSensitive }); const matches = [];
+  if(!regexps.length) return matches;
+  const doc = await openPdfJs(array);
+  const list = pagesToSearch(pages, doc.numPages);
+  for(let n=0;n<list.length;n++){
+    const segments = await extractTextSegments(await doc.getPage(list[n]));
+    segments.forEach(seg=>segmentMatches(seg, regexps).forEach(m=>matches.push({ page:list[n], ...m })));
+    task.progress(100*(n+1)/list.length, { stage:'Searching', page:n+1, pages:list.length });
+  }
+  return matches;
+}
+
+// text PDF.js can still extract from the redacted areas (judged per character) or that still matches a search term
+async function redactionLeaks(bytes, boxesByPage, regexps, searched){
+  const doc = await openPdfJs(bytes.slice()); const leaks = [];
+  for(let p=1;p<=doc.numPages;p++){
+    const boxes = boxesByPage.get(p) || [];
+    if(!boxes.length && !searched.includes(p)) continue;
+    const items = (await (await doc.getPage(p)).getTextContent()).items.filter(i=>i.str && i.str.trim());
+    items.forEach(it=>{
+      const x = it.transform[4], y = it.transform[5], h = Math.abs(it.height) || Math.hypot(it.transform[2], it.transform[3]), offsets = charOffsets(it.str, it.width);
+      const chars = it.str.split('').filter((ch,i)=>ch.trim() && boxes.some(b=>{ const cx = x+(offsets[i]+offsets[i+1])/2, cy = y+h*0.35; return cx>=b.x0 && cx<=b.x1 && cy>=b.y0 && cy<=b.y1; }));
+      if(chars.length) leaks.push({ page:p, text:chars.join('') });
+    });
+    if(searched.includes(p)){
+      const text = items.map(i=>i.str).join(' ');
+      regexps.forEach(re=>{ re.lastIndex = 0; let m; while((m = re.exec(text))){ if(!m[0].length){ re.lastIndex++; continue; } leaks.push({ page:p, text:m[0] }); } });
+    }
+  }
+  return leaks;
+}
+
+// replace whole pages of pdfDoc with an image of themselves (redaction boxes painted in), dropping their text,
+// vector content and annotations. bytes is pdfDoc as last saved, which the images are rendered from
+async function rasterizePages(pdfDoc, bytes, pages, boxesByPage, dpi){
+  const { PDFName, degrees } = PDFLib;
+  const doc = await openPdfJs(bytes.slice());
+  for(const p of pages){
+    const page = pdfDoc.getPage(p-1), source = await doc.getPage(p), scale = dpi/72;
+    const canvas = await renderPageToCanvas(source, scale); const viewport = source.getViewport({ scale }); const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#000';
+    (boxesByPage.get(p) || []).forEach(b=>{ const [x1,y1,x2,y2] = viewport.convertToViewportRectangle([b.x0, b.y0, b.x1, b.y1]); ctx.fillRect(Math.min(x1,x2), Math.min(y1,y2), Math.abs(x2-x1), Math.abs(y2-y1)); });
+    const image = await pdfDoc.embedJpg(new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer()));
+    const width = viewport.width/scale, height = viewport.height/scale;
+    ['Contents','Annots','CropBox','BleedBox','TrimBox','ArtBox','Group'].forEach(k=>page.node.delete(PDFName.of(k)));
+    page.node.set(PDFName.of('Resources'), pdfDoc.context.obj({}));
+    page.setRotation(degrees(0)); page.setMediaBox(0, 0, width, height);
+    page.drawImage(image, { x:0, y:0, width, height });
+  }
+  pruneUnreachable(pdfDoc.context);
+  return await pdfDoc.save();
+}
+
+// redact a loaded document in place; returns the report with the saved bytes, { matches, pages, leaks, bytes }
+async function redactDocument(pdfDoc, options, task){
+  await ensurePdfJs();
+  const { areas=[], rasterize=false, fallback=true, dpi=150 } = options;
+  const { rgb } = PDFLib;
+  const regexps = redactionRegExps(options.search, options); const total = pdfDoc.getPageCount();
+  const searched = regexps.length ? pagesToSearch(options.pages, total) : [];
+  const matches = regexps.length ? await searchRedactions(await pdfDoc.save(), options, task.step(0, 30)) : [];
+  const boxesByPage = new Map();
+  const add = (p, b)=>{ if(!(p>=1 && p<=total)) throw new Error(`Page ${p} does not exist (the PDF has ${total})`); if(!boxesByPage.has(p)) boxesByPage.set(p, []); boxesByPage.get(p).push(b); };
+  areas.forEach(a=>add(a.page, { x0:Math.min(a.x0,a.x1), y0:Math.min(a.y0,a.y1), x1:Math.max(a.x0,a.x1), y1:Math.max(a.y0,a.y1) }));
+  matches.forEach(m=>add(m.page, { x0:m.box.x0-1, y0:m.box.y0-1, x1:m.box.x1+1, y1:m.box.y1+1 }));
+  if(!boxesByPage.size) throw new Error(regexps.length ? 'No matches found to redact' : 'Mark an area or enter text to search for');
+  const report = []; const flatten = new Set(); let n = 0;
+  for(const [p, boxes] of boxesByPage){
+    const page = pdfDoc.getPage(p-1);
+    const entry = { page:p, boxes, glyphs:0, images:0, annotations:removeAnnotationsInBoxes(pdfDoc, page, boxes), rasterized:false, reason:'' };
+    if(rasterize){ flatten.add(p); entry.reason = 'rasterisation requested'; }
+    else {
+      const found = redactContentStream(pdfDoc, page, boxes);
+      const failed = await redactPageImages(pdfDoc, page, found.images, boxes);
+      entry.glyphs = found.glyphs; entry.images = found.images.length - failed.length + found.inlineImages;
+      const reasons = [found.forms ? 'content inside form XObjects' : '', failed.length ? 'images that could not be decoded' : ''].filter(Boolean);
+      if(reasons.length){ flatten.add(p); entry.reason = reasons.join(' and '); }
+      boxes.forEach(b=>page.drawRectangle({ x:b.x0, y:b.y0, width:b.x1-b.x0, height:b.y1-b.y0, color:rgb(0,0,0) }));
+    }
+    report.push(entry);
+    task.progress(30 + 30*(++n)/boxesByPage.size, { stage:'Redacting', page:n, pages:boxesByPage.size });
+  }
+  pruneUnreachable(pdfDoc.context);
+  let bytes = await pdfDoc.save(); task.progress(65);
+  let leaks = await redactionLeaks(bytes, boxesByPage, regexps, searched);
+  leaks.forEach(l=>{ const entry = report.find(r=>r.page===l.page); if(!flatten.has(l.page)){ flatten.add(l.page); if(entry) entry.reason = 'text still extractable after editing'; } });
+  if(rasterize || fallback){
+    const pages = Array.from(flatten).sort((a,b)=>a-b);
+    if(pages.length){
+      bytes = await rasterizePages(pdfDoc, bytes, pages, boxesByPage, dpi); task.progress(85);
+      pages.forEach(p=>{ const entry = report.find(r=>r.page===p); if(entry) entry.rasterized = true; else report.push({ page:p, boxes:[], glyphs:0, images:0, annotations:0, rasterized:true, reason:'search text still extractable after editing' }); });
+      leaks = await redactionLeaks(bytes, boxesByPage, regexps, searched);
+    }
+  }
+  report.sort((a,b)=>a.page-b.page);
+  return { matches, pages:report, leaks, bytes };
+}
+
+async function redactPDF(file, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const array = await readPDF(file); const { PDFDocument } = PDFLib;
+    const pdfDoc = await PDFDocument.load(array, { updateMetadata:false });
+    const { bytes, ...report } = await redactDocument(pdfDoc, options, task.step(5, 100));
+    if(options.onReport) options.onReport(report);
+    task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-redacted.pdf'); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* ---- OCR text layer helpers (used by makeSearchablePDF) ---- */
+
+// whether PDF.js finds a real text layer on the page; a stray page number or stamp doesn't count
+async function pageHasText(page){
+  const content = await page.getTextContent();
+  return content.items.map(i=>i.str||'').join('').replace(/\s+/g,'').length >= 20;
+}
+
+// write OCR words onto a pdf-lib page as invisible text (render mode 3). words are Tesseract results
+// ({ text, bbox:{x0,y0,x1,y1}, line }) in image pixels; toPdf maps an image pixel to user space, so each word
+// is stretched along its box in the page's own orientation. returns { words, skipped }
+function addInvisibleText(pdfPage, words, toPdf, fonts){
+  const { beginText, endText, setFontAndSize, setTextRenderingMode, TextRenderingMode, setTextMatrix, showText, pushGraphicsState, popGraphicsState } = PDFLib;
+  const keys = new Map(); const ops = []; let written = 0, skipped = 0;
+  words.forEach((w,i)=>{
+    const word = String(w.text||'').trim(); if(!word) return;
+    const font = Array.from(word).every(isWinAnsi) ? fonts.latin : fonts.unicode;
+    // keep a space after each word but the last on its line, so copied and extracted text reads naturally
+    const next = words[i+1], text = next && next.line===w.line ? word+' ' : word;
+    let encoded, width;
+    try{ if(!font) throw new Error('no font'); encoded = font.encodeText(text); width = font.widthOfTextAtSize(word, 1); }
+    catch(e){ skipped++; return; }
+    const { x0, y0, x1, y1 } = w.bbox;
+    const [bx, by] = toPdf(x0, y1), [rx, ry] = toPdf(x1, y1), [tx, ty] = toPdf(x0, y0);
+    const ux = rx-bx, uy = ry-by, vx = tx-bx, vy = ty-by;
+    if(!width || !(Math.hypot(ux,uy) > 0) || !(Math.hypot(vx,vy) > 0)) { skipped++; return; }
+    if(!keys.has(font)) keys.set(font, pdfPage.node.newFontDictionary('OCR', font.ref));
+    ops.push(setFontAndSize(keys.get(font), 1), setTextMatrix(ux/width, uy/width, vx, vy, bx, by), showText(encoded));
+    written++;
+  });
+  if(ops.length) pdfPage.pushOperators(pushGraphicsState(), beginText(), setTextRenderingMode(TextRenderingMode.Invisible), ...ops, endText(), popGraphicsState());
+  return { words: written, skipped };
+}
+
+/* 28. makeSearchablePDF(file, options) - OCR scanned pages and lay an invisible text layer over them, so the PDF
+   looks exactly the same but its text can be selected, searched and copied.
+   options:
+     lang (string)       : Tesseract language code(s), e.g. 'eng', 'deu' or 'eng+fra' (default 'eng')
+     skipText (boolean)  : leave pages that already have a text layer alone (default true)
+     pages (string)      : pages to consider, e.g. '1-5' (blank = all)
+     dpi (number)        : resolution pages are rendered at for OCR (default 300)
+     onReport(report)    : called with { pages:[{ page, status:'ocr'|'has-text', words, skipped }] }
+   words outside the standard font's character set use the Unicode font, and are left out if it can't be loaded.
+   downloads '-searchable.pdf' and returns the bytes, or null when no page needed OCR */
+async function makeSearchablePDF(file, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); await ensurePdfLib(); task.progress(5);
+    const array = await readPDF(file); const { PDFDocument } = PDFLib; const pdfDoc = await PDFDocument.load(array);
+    const report = await addOcrTextLayer(pdfDoc, options, task.step(5, 90));
+    if(options.onReport) options.onReport(report);
+    if(!report.pages.some(r=>r.status==='ocr')){ task.progress(100); task.notify('Every selected page already has searchable text.'); return null; }
+    const bytes = await pdfDoc.save(); task.progress(100); task.download(bytes, file.name.replace(/\.pdf$/i,'')+'-searchable.pdf'); return bytes;
+  }catch(err){handleError(err, task);throw err}
+}
+
+// lay the OCR text layer over a loaded document's pages in place; returns the report passed to onReport
+async function addOcrTextLayer(pdfDoc, { lang='eng', skipText=true, pages='', dpi=300 }, task){
+  await ensurePdfJs();
+  const { StandardFonts } = PDFLib; let worker = null, recognising = null;
+  try{
+    const doc = await openPdfJs(await pdfDoc.save());
+    const targets = pagesToSearch(pages, doc.numPages); const report = []; const fonts = {};
+    for(let k=0;k<targets.length;k++){
+      const p = targets[k]; const page = await doc.getPage(p);
+      if(skipText && await pageHasText(page)){ report.push({ page:p, status:'has-text', words:0, skipped:0 }); task.progress(100*(k+1)/targets.length, { stage:'Recognising text', page:k+1, pages:targets.length }); continue; }
+      if(!worker) worker = await createOcrWorker(lang, f=>recognising && recognising(f));
+      recognising = f=>task.progress(100*(k+f)/targets.length, { stage:'Recognising text', page:k+1, pages:targets.length });
+      const viewport = page.getViewport({ scale: dpi/72 }); const canvas = await renderPageToCanvas(page, dpi/72);
+      const { data } = await worker.recognize(await ocrSource(canvas));
+      const words = (data.words||[]).filter(w=>w.text && w.text.trim());
+      if(!fonts.latin) fonts.latin = await pdfDoc.embedFont(StandardFonts.Helvetica);
+      if(fonts.unicode===undefined && words.some(w=>!Array.from(w.text.trim()).every(isWinAnsi))) fonts.unicode = await embedUnicodeFont(pdfDoc);
+      // the canvas is rounded to whole pixels; scale back to the exact viewport before converting
+      const sx = viewport.width/canvas.width, sy = viewport.height/canvas.height;
+      const result = addInvisibleText(pdfDoc.getPage(p-1), words, (x,y)=>viewport.convertToPdfPoint(x*sx, y*sy), fonts);
+      report.push({ page:p, status:'ocr', ...result });
+      canvas.width = canvas.height = 0; page.cleanup();
+      task.progress(100*(k+1)/targets.length, { stage:'Recognising text', page:k+1, pages:targets.length });
+    }
+    return { pages: report };
+  }
+  finally{ if(worker) await worker.terminate(); }
+}
+
+/* ---- text export writers (used by exportText and extractTables) ---- */
+
+const EXPORT_FORMATS = {
+  txt: { type:'text/plain;charset=utf-8', ext:'txt' }, html: { type:'text/html;charset=utf-8', ext:'html' },
+  md: { type:'text/markdown;charset=utf-8', ext:'md' }, csv: { type:'text/csv;charset=utf-8', ext:'csv' },
+  xlsx: { type:'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext:'xlsx' }
+};
+
+// the blocks of an analysed page in reading order: bands top to bottom, columns left to right
+const readingOrder = page=>page.bands.flatMap(b=>b.columns.flat());
+const tableCells = table=>table.rows.map(cells=>cells.map(segs=>segs.map(s=>s.text).join(' ')));
+const escapeHtml = t=>String(t).replace(/[&<>"]/g, c=>({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;' })[c]);
+const imageDataUrl = im=>`data:image/${im.ext==='jpg' ? 'jpeg' : im.ext};base64,${bytesToBase64(im.data)}`;
+
+function bytesToBase64(bytes){
+  let binary = ''; for(let i=0;i<bytes.length;i+=0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i+0x8000));
+  return btoa(binary);
+}
+
+// plain text: paragraphs separated by blank lines, table rows as tab-separated lines, and the separator
+// template ({n} = page number) before each page
+function layoutToText(pages, { separator = '--- Page {n} ---' } = {}){
+  return pages.map(page=>{
+    const blocks = readingOrder(page).filter(b=>b.kind!=='image').map(b=>b.kind==='table'
+      ? tableCells(b).map(r=>r.join('\t')).join('\n')
+      : (b.bullet ? '• ' : '') + b.runs.map(r=>r.text).join(''));
+    return (separator ? separator.replace(/\{n\}/g, page.number)+'\n\n' : '') + blocks.join('\n\n');
+  }).join('\n\n') + '\n';
+}
+
+// wrap a run's words in emphasis markers, leaving its outer spaces outside them
+const emphasise = (text, open, close)=>text.replace(/^(\s*)([\s\S]*?)(\s*)$/, (m,a,t,b)=>t ? a+open+t+close+b : m);
+
+// inline runs with bold and italic, unless the whole paragraph is a heading (the tag already says so)
+function runsToHtml(runs, heading){
+  return runs.map(r=>{ const t = escapeHtml(r.text); if(heading || !(r.bold || r.italic)) return t;
+    return emphasise(t, (r.bold ? '<strong>' : '')+(r.italic ? '<em>' : ''), (r.italic ? '</em>' : '')+(r.bold ? '</strong>' : '')); }).join('');
+}
+
+// semantic HTML: a <section> per page with headings, paragraphs, lists, tables and figures
+function layoutToHtml(pages, title, { includeImages = true } = {}){
+  const level = headingLevels(pages);
+  const body = pages.map(page=>{
+    const out = []; let list = false;
+    readingOrder(page).forEach(b=>{
+      if(list && !(b.kind==='paragraph' && b.bullet)){ out.push('</ul>'); list = false; }
+      if(b.kind==='paragraph'){
+        const h = level(b.size);
+        if(b.bullet){ if(!list){ out.push('<ul>'); list = true; } out.push(`<li>${runsToHtml(b.runs)}</li>`); }
+        else if(h) out.push(`<h${h}>${runsToHtml(b.runs, true)}</h${h}>`);
+        else out.push(`<p${b.align!=='left' ? ` style="text-align:${b.align}"` : ''}>${runsToHtml(b.runs)}</p>`);
+      } else if(b.kind==='table'){
+        out.push('<table>', ...b.rows.map((cells,i)=>'<tr>'+cells.map(segs=>{ const tag = i===0 ? 'th' : 'td'; return `<${tag}>${segs.map(s=>runsToHtml(s.runs)).join(' ')}</${tag}>`; }).join('')+'</tr>'), '</table>');
+      } else if(b.kind==='image' && includeImages){
+        out.push(`<figure><img src="${imageDataUrl(b)}" width="${Math.round(b.x1-b.x0)}" height="${Math.round(b.bottom-b.top)}" alt=""></figure>`);
+      }
+    });
+    if(list) out.push('</ul>');
+    return `<section class="page" id="page-${page.number}" aria-label="Page ${page.number}">\n${out.join('\n')}\n</section>`;
+  });
+  return `<!doctype html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>${escapeHtml(title)}</title>\n<style>body{max-width:50em;margin:2em auto;font-family:sans-serif;line-height:1.5}table{border-collapse:collapse}th,td{border:1px solid #ccc;padding:4px 8px}.page+.page{border-top:1px solid #ddd;margin-top:2em}</style>\n</head>\n<body>\n${body.join('\n')}\n</body>\n</html>\n`;
+}
+
+const escapeMarkdown = t=>String(t).replace(/([\\`*_\[\]<>|])/g, '\\$1');
+
+function runsToMarkdown(runs, heading){
+  return runs.map(r=>{
+    const text = escapeMarkdown(r.text), mark = (r.bold ? '**' : '') + (r.italic ? '*' : '');
+    return heading || !mark ? text : emphasise(text, mark, mark);
+  }).join('');
+}
+
+// Markdown: '#' headings, '-' lists, pipe tables (first row as the header) and an HTML comment before each page
+function layoutToMarkdown(pages, { includeImages = false } = {}){
+  const level = headingLevels(pages);
+  return pages.map(page=>{
+    const out = [`<!-- Page ${page.number} -->`];
+    readingOrder(page).forEach((b,i,all)=>{
+      if(b.kind==='paragraph'){
+        const h = level(b.size);
+        const text = h ? '#'.repeat(h)+' '+runsToMarkdown(b.runs, true) : (b.bullet ? '- ' : '')+runsToMarkdown(b.runs);
+        // keep consecutive list items together as one list
+        if(b.bullet && all[i-1] && all[i-1].bullet) out[out.length-1] += '\n'+text; else out.push(text);
+      } else if(b.kind==='table'){
+        const rows = tableCells(b).map(r=>'| '+r.map(c=>escapeMarkdown(c)).join(' | ')+' |');
+        rows.splice(1, 0, '|'+b.spans.map(()=>' --- |').join(''));
+        out.push(rows.join('\n'));
+      } else if(b.kind==='image' && includeImages) out.push(`![](${imageDataUrl(b)})`);
+    });
+    return out.join('\n\n');
+  }).join('\n\n') + '\n';
+}
+
+// every table of the analysed pages as { page, index, rows:[[cell text]] }
+const layoutTables = pages=>pages.flatMap(page=>readingOrder(page).filter(b=>b.kind==='table').map((t,i)=>({ page: page.number, index: i+1, rows: tableCells(t) })));
+
+const csvCell = c=>/[",\n\r]/.test(c) ? `"${c.replace(/"/g,'""')}"` : c;
+const tableToCsv = rows=>rows.map(r=>r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+// a minimal .xlsx (one sheet per table) written with JSZip: cells that look like plain numbers are stored as
+// numbers, everything else as inline strings
+async function tablesToXlsx(tables){
+  await ensureJSZip(); const zip = new JSZip();
+  const xml = s=>escapeHtml(s).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+  // a number only when it reads back exactly and fits a double: leading zeros, '1.50' and long IDs stay text
+  const numeric = v=>Number.isFinite(Number(v)) && String(Number(v))===v.trim() && v.replace(/\D/g, '').length <= 15;
+  const cell = (v, ref)=>numeric(v) ? `<c r="${ref}"><v>${Number(v)}</v></c>` : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xml(v)}</t></is></c>`;
+  const names = tables.map(t=>`Page ${t.page} Table ${t.index}`.slice(0, 31));
+  zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + tables.map((t,i)=>`<Override PartName="/xl/worksheets/sheet${i+1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') + '</Types>');
+  zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>');
+  zip.file('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>'
+    + names.map((n,i)=>`<sheet name="${xml(n)}" sheetId="${i+1}" r:id="rId${i+1}"/>`).join('') + '</sheets></workbook>');
+  zip.file('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + tables.map((t,i)=>`<Relationship Id="rId${i+1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i+1}.xml"/>`).join('') + '</Relationships>');
+  tables.forEach((t,i)=>zip.file(`xl/worksheets/sheet${i+1}.xml`, '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+    + t.rows.map((r,ri)=>`<row r="${ri+1}">`+r.map((v,ci)=>cell(v, toLetters(ci+1).toUpperCase()+(ri+1))).join('')+'</row>').join('') + '</sheetData></worksheet>'));
+  return await zip.generateAsync({ type:'blob', mimeType: EXPORT_FORMATS.xlsx.type });
+}
+
+/* 29. exportText(file, format, options) - export the text of a PDF as 'txt', 'html' or 'md', built on the same
+   layout analysis and OCR fallback as pdfToWord, so columns read in order and headings, lists and tables survive.
+   pdfToText, pdfToHTML and pdfToMarkdown are shortcuts.
+   options:
+     pages (string)          : page range, e.g. '1-3,5' (blank = all)
+     forceOCR, lang          : as for pdfToWord
+     separator (string)      : plain text only — line written before each page, {n} = page number ('' for none;
+                               default '--- Page {n} ---')
+     includeImages (boolean) : HTML and Markdown — inline the PDF's images as data URLs (default true for HTML, false for Markdown)
+   plain text has paragraphs separated by blank lines and table rows as tab-separated lines; HTML has a <section>
+   per page with h1-h3, p, ul, table and figure; Markdown uses # headings, - lists and pipe tables.
+   downloads the file and returns it as a Blob */
+async function exportText(file, format='txt', options={}){
+  const task = createTask(options);
+  try{validatePDF(file); task.progress(5);
+    const base = file.name.replace(/\.pdf$/i,'');
+    const blob = await exportLayout(await readPDF(file), format, base, options, task.step(5, 95));
+    task.progress(100); task.download(blob, `${base}.${EXPORT_FORMATS[format].ext}`); return blob;
+  }catch(err){handleError(err, task);throw err}
+}
+
+// a PDF (given as bytes) as a text, HTML or Markdown Blob; base titles the HTML page
+async function exportLayout(array, format, base, options, task){
+  const fmt = EXPORT_FORMATS[format];
+  if(!fmt || !['txt','html','md'].includes(format)) throw new Error('Unsupported text format: '+format);
+  const { pages, forceOCR, lang, includeImages = format==='html' } = options;
+  const analysed = await analysePdfPages(array, { pages, forceOCR, lang, includeImages }, task);
+  const text = format==='html' ? layoutToHtml(analysed, base, options) : format==='md' ? layoutToMarkdown(analysed, { includeImages }) : layoutToText(analysed, options);
+  return new Blob([text], { type: fmt.type });
+}
+
+async function pdfToText(file, options){ return await exportText(file, 'txt', options); }
+async function pdfToHTML(file, options){ return await exportText(file, 'html', options); }
+async function pdfToMarkdown(file, options){ return await exportText(file, 'md', options); }
+
+/* 30. extractTables(file, options) - find the tables in a PDF (rows of text aligned on shared columns, as the
+   layout analysis sees them) and export them for spreadsheets.
+   options:
+     format ('csv'|'xlsx')   : one CSV per table (a ZIP when there are several), or one workbook with a sheet per table (default 'csv')
+     pages, forceOCR, lang   : as for exportText
+   returns the tables as CSV files, [{ page, index, rows:[[cell text]], name, blob }], or the workbook as a Blob;
+   null (with a notice) when no table was found */
+async function extractTables(file, options={}){
+  const task = createTask(options);
+  try{validatePDF(file); task.progress(5);
+    const { format='csv', pages, forceOCR, lang } = options;
+    if(!['csv','xlsx'].includes(format)) throw new Error('Unsupported table format: '+format);
+    const tables = layoutTables(await analysePdfPages(await readPDF(file), { pages, forceOCR, lang, includeImages:false }, task.step(5, 95)));
+    if(!tables.length){ task.progress(100); task.notify('No tables found in the selected pages.'); return null; }
+    const base = file.name.replace(/\.pdf$/i,'');
+    if(format==='xlsx'){ const blob = await tablesToXlsx(tables); task.progress(100); task.download(blob, `${base}-tables.xlsx`); return blob; }
+    tables.forEach(t=>{ t.name = `${base}-page-${t.page}-table-${t.index}.csv`; t.blob = new Blob([tableToCsv(t.rows)], { type: EXPORT_FORMATS.csv.type }); });
+    if(tables.length===1) task.download(tables[0].blob, tables[0].name);
+    else if(!task.quiet){
+      await ensureJSZip(); const zip = new JSZip();
+      tables.forEach(t=>zip.file(t.name, t.blob));
+      downloadBlob(await zip.generateAsync({ type:'blob' }), `${base}-tables.zip`);
+    }
+    task.progress(100); return tables;
+  }catch(err){handleError(err, task);throw err}
+}
+
+/* ---- Web Worker processing ----
+   On the page, the tools in WORKER_TOOLS are replaced by stubs that run them in a dedicated worker (main.js itself,
+   started with new Worker), so large merges, renders and OCR don't freeze the tab. Files go in and results come back
+   as transferred ArrayBuffers; downloads, alerts, password prompts and callbacks such as onReport are relayed to the
+   page. Previews (thumbnails, page renders) come back as PNG Blobs drawn on an OffscreenCanvas. Each call also
+   accepts, in its options (see TOOL_OPTIONS):
+     signal (AbortSignal)    : cancel the operation (the worker is terminated, the call rejects with an AbortError)
+     onProgress (function)   : called with { percent, stage, page, pages } as the work advances
+   both belong to that call alone. The Cancel button shown next to the progress bar cancels everything that is running.
+   Tools run on the page instead:
+     - where workers or OffscreenCanvas are unavailable, and on pages opened from file://, where browsers refuse to
+       start a worker from a local file (serve the folder over http(s) to get them);
+     - wordToPDF always, since parsing the .docx XML needs DOMParser, which workers lack; a pipeline with a
+       wordToPDF step or a custom function step (functions can't be sent to a worker) runs on the page too. */
+const WORKER_TOOLS = [
+  'compressPDF', 'removeBlankPages', 'analyzeBlankPages', 'splitPDF', 'rotatePDF', 'mergePDFs', 'pdfToWord', 'pdfToJPG', 'pdfToPNG',
+  'renderPagesToImages', 'jpgToPDF', 'addPageNumbers', 'batesNumber', 'removePageNumbers', 'detectPageNumbers', 'addWatermark',
+  'previewWatermark', 'removeMetadata', 'cropPDF', 'extractImages', 'reorderPages', 'deletePages', 'extractFirstPage', 'extractLastPage',
+  'renderPageThumbnails', 'renderPagePreview', 'organizePages', 'runPipeline', 'protectPDF', 'unlockPDF', 'redactPDF', 'findRedactions',
+  'makeSearchablePDF', 'exportText', 'pdfToText', 'pdfToHTML', 'pdfToMarkdown', 'extractTables'
+];
+const MAX_IDLE_WORKERS = 2;
+const idleWorkers = [];
+const cancellables = new Set();      // AbortControllers of the operations running now
+const workerDownloads = [];          // (in the worker) downloads still being handed to the page
+const pageRequests = new Map(); let lastPageRequest = 0;
+
+// an object literal (from any realm), as opposed to a class instance
+function isPlainObject(v){
+  if(!v || typeof v!=='object') return false;
+  const proto = Object.getPrototypeOf(v); return proto===null || Object.getPrototypeOf(proto)===null;
+}
+const cancelledError = ()=>new DOMException('The operation was cancelled', 'AbortError');
+const progressText = ({ stage, page, pages })=>stage ? stage + (pages ? ` — page ${page} of ${pages}` : '') : '';
+
+// Files and Blobs become { $blob: ArrayBuffer, name, type } and functions { $callback: index } (collected in
+// callbacks), through arrays and plain objects; every buffer is listed in transfer so it moves instead of being
+// copied. byte arrays are copied first unless move is set, so the caller's own buffers aren't detached
+async function packTransferable(value, transfer, callbacks, move){
+  if(value instanceof Blob){
+    // a PDF already unlocked on the page goes over decrypted, so the worker doesn't ask for the password again
+    const bytes = value instanceof File && unlockedFiles.has(value) ? unlockedFiles.get(value).slice() : new Uint8Array(await value.arrayBuffer());
+    transfer.push(bytes.buffer);
+    return { $blob: bytes.buffer, name: value instanceof File ? value.name : null, type: value.type };
+  }
+  if(ArrayBuffer.isView(value)){
+    const bytes = move && value.byteOffset===0 && value.byteLength===value.buffer.byteLength ? value : value.slice();
+    transfer.push(bytes.buffer); return bytes;
+  }
+  if(typeof value==='function'){ callbacks.push(value); return { $callback: callbacks.length - 1 }; }
+  if(Array.isArray(value) || (typeof FileList!=='undefined' && value instanceof FileList)) return await Promise.all(Array.from(value, v=>packTransferable(v, transfer, callbacks, move)));
+  if(isPlainObject(value)){
+    const out = {};
+    for(const [key, v] of Object.entries(value)) if(!(typeof AbortSignal!=='undefined' && v instanceof AbortSignal)) out[key] = await packTransferable(v, transfer, callbacks, move);
+    return out;
+  }
+  return value;
+}
+
+function unpackTransferable(value, callback){
+  if(Array.isArray(value)) return value.map(v=>unpackTransferable(v, callback));
+  if(!isPlainObject(value)) return value;
+  if(value.$blob) return value.name!=null ? new File([value.$blob], value.name, { type: value.type }) : new Blob([value.$blob], { type: value.type });
+  if(value.$callback!==undefined) return callback(value.$callback);
+  return Object.fromEntries(Object.entries(value).map(([key, v])=>[key, unpackTransferable(v, callback)]));
+}
+
+// (in the worker) ask the page for something only it can do, e.g. a password prompt; resolves with its reply
+function requestFromPage(type, data){
+  const id = ++lastPageRequest; postMessage({ type, id, ...data });
+  return new Promise(res=>pageRequests.set(id, res));
+}
+
+if(IN_WORKER){
+  self.alert = message=>postMessage({ type:'notice', message });
+  self.onmessage = async ({ data })=>{
+    if(data.type==='reply'){ const reply = pageRequests.get(data.id); pageRequests.delete(data.id); if(reply) reply(data.value); return; }
+    if(data.type!=='run') return;
+    try{
+      const args = unpackTransferable(data.args, key=>(...values)=>postMessage({ type:'callback', key, args: values }));
+      const result = await window.ToolMetric[data.tool](...args);
+      await Promise.all(workerDownloads.splice(0));
+      const transfer = [];
+      postMessage({ type:'done', result: await packTransferable(result, transfer, [], true) }, transfer);
+    }catch(err){
+      await Promise.all(workerDownloads.splice(0)).catch(()=>{});
+      postMessage({ type:'error', name: err.name, message: err.message || String(err) });
+    }
+  };
+}
+
+// file:// pages are left out: browsers won't start a worker from a local file
+function workersSupported(){
+  return !IN_WORKER && typeof Worker==='function' && typeof OffscreenCanvas==='function' && /^https?:$/.test(location.protocol);
+}
+
+// task reports the worker's progress on the page; it has no signal of its own (cancel below terminates the worker),
+// so reporting never throws inside onmessage
+function runInWorker(worker, tool, args, transfer, callbacks, signal, task){
+  return new Promise((resolve, reject)=>{
+    const finish = (settle, value, reuse)=>{
+      signal.removeEventListener('abort', cancel); worker.onmessage = worker.onerror = null;
+      if(reuse && idleWorkers.length < MAX_IDLE_WORKERS) idleWorkers.push(worker); else worker.terminate();
+      settle(value);
+    };
+    const cancel = ()=>finish(reject, cancelledError(), false);
+    signal.addEventListener('abort', cancel);
+    worker.onerror = e=>{ e.preventDefault(); finish(reject, new Error(e.message || 'The processing worker failed'), false); };
+    worker.onmessage = ({ data })=>{
+      if(data.type==='progress'){ const { type, percent, ...detail } = data; task.progress(percent, detail); }
+      else if(data.type==='download') downloadBlob(new Blob([data.buffer], { type: data.mime }), data.name);
+      else if(data.type==='notice') alert(data.message);
+      else if(data.type==='callback') callbacks[data.key](...data.args);
+      else if(data.type==='prompt') worker.postMessage({ type:'reply', id: data.id, value: window.prompt(data.message) });
+      else if(data.type==='done') finish(resolve, unpackTransferable(data.result), true);
+      else if(data.type==='error') finish(reject, Object.assign(new Error(data.message), { name: data.name }), true);
+    };
+    worker.postMessage({ type:'run', tool, args }, transfer);
+  });
+}
+
+// register an operation with the Cancel button; returns the function that unregisters it
+function trackCancellable(controller){
+  cancellables.add(controller); updateCancelButtons();
+  return ()=>{ cancellables.delete(controller); updateCancelButtons(); };
+}
+
+function cancelAll(){
+  cancellables.forEach(c=>c.abort());
+}
+
+function updateCancelButtons(){
+  if(IN_WORKER) return;
+  document.querySelectorAll('.progress-status').forEach(el=>{
+    el.style.display = cancellables.size ? 'flex' : 'none';
+    if(!cancellables.size) el.querySelector('span').textContent = '';
+  });
+}
+
+// the page-side stub for a tool: runs it in an idle (or new) worker, or on the page when workers are unavailable.
+// the call's signal and onProgress are read from its own options argument, so every call is cancelled and reports
+// on its own
+function offload(tool, local){
+  const index = [].concat(TOOL_OPTIONS[tool])[0];
+  return async function(...args){
+    const options = isPlainObject(args[index]) ? args[index] : {};
+    const { signal, onProgress, quiet } = options;
+    const controller = new AbortController(), untrack = trackCancellable(controller), abort = ()=>controller.abort();
+    if(signal){ if(signal.aborted) abort(); else signal.addEventListener('abort', abort); }
+    try{
+      if(controller.signal.aborted) throw cancelledError();
+      let worker = null;
+      if(workersSupported()){ try{ worker = idleWorkers.pop() || new Worker(ASSET_BASE+'main.js'); }catch(e){ console.warn('Could not start a worker, running on the page', e); } }
+      if(worker){
+        const sent = args.slice();
+        if(sent[index]===options){ const { signal, onProgress, ...rest } = options; sent[index] = rest; }
+        const transfer = [], callbacks = [];
+        const packed = await packTransferable(sent, transfer, callbacks, false);
+        return await runInWorker(worker, tool, packed, transfer, callbacks, controller.signal, createTask({ onProgress, quiet }));
+      }
+      // on the page, cancelling takes effect at the tool's next progress update
+      return await local(...withToolOptions(tool, args, { signal: controller.signal }));
+    }finally{
+      untrack(); if(signal) signal.removeEventListener('abort', abort);
+    }
+  };
+}
+
+// Expose functions
+window.ToolMetric = {
+  compressPDF, removeBlankPages, analyzeBlankPages, splitPDF, rotatePDF, mergePDFs, pdfToWord, wordToPDF, pdfToJPG, jpgToPDF,
+  addPageNumbers, batesNumber, removePageNumbers, detectPageNumbers, addWatermark, previewWatermark, removeMetadata, inspectMetadata, cropPDF, extractImages, pdfToPNG, renderPagesToImages, reorderPages, deletePages, extractFirstPage, extractLastPage,
+  renderPageThumbnails, renderPagePreview, organizePages, pipeline, runPipeline, pipelineTools: PIPELINE_TOOLS, toFile, batch, protectPDF, unlockPDF, readPDF,
+  redactPDF, findRedactions, redactionPatterns: REDACTION_PATTERNS, makeSearchablePDF,
+  exportText, pdfToText, pdfToHTML, pdfToMarkdown, extractTables,
+  downloadPDF, downloadBlob, showProgress, handleError, validatePDF, formatBytes, parsePageRange, dataURItoBlob, cancelAll
+};
+if(!IN_WORKER) WORKER_TOOLS.forEach(name=>{ window.ToolMetric[name] = offload(name, window.ToolMetric[name]); });
+
+// precache the tools and libraries for offline use (service workers need http(s); file:// pages skip this)
+if(!IN_WORKER && 'serviceWorker' in navigator && /^https?:$/.test(location.protocol)){
+  window.addEventListener('load', ()=>navigator.serviceWorker.register(ASSET_BASE+'sw.js').catch(e=>console.warn('Service worker registration failed', e)));
+}
+
+// Lightweight UI handling for tool pages (drag/drop, file input wiring, the Cancel button under the progress bar)
+if(!IN_WORKER) document.addEventListener('DOMContentLoaded', ()=>{
+  document.querySelectorAll('.progress').forEach(bar=>{
+    const status = document.createElement('div'); status.className = 'controls progress-status'; status.style.display = 'none';
+    status.innerHTML = '<span class="muted"></span><button class="btn secondary" type="button">Cancel</button>';
+    status.querySelector('button').addEventListener('click', cancelAll);
+    bar.after(status);
+  });
   document.querySelectorAll('.dropzone').forEach(zone=>{
     const input = zone.querySelector('input[type=file]');
     zone.addEventListener('dragover', (e)=>{e.preventDefault(); zone.classList.add('dragover')});
     zone.addEventListener('dragleave', ()=>zone.classList.remove('dragover'));
-    zone.addEventListener('drop', async (e)=>{ e.preventDefault(); zone.classList.remove('dragover'); const f = e.dataTransfer.files[0]; if(f && input) input.files = e.dataTransfer.files; if(f) zone.dispatchEvent(new CustomEvent('fileselected',{detail:f})); });
+    // detail is the first file for single-file pages; the input holds every dropped file for batch mode
+    zone.addEventListener('drop', async (e)=>{ e.preventDefault(); zone.classList.remove('dragover'); const files = e.dataTransfer.files; if(files.length && input) input.files = files; if(files.length) zone.dispatchEvent(new CustomEvent('fileselected',{detail:files[0]})); });
     if(input){ input.addEventListener('change', ()=>{ const f = input.files[0]; zone.dispatchEvent(new CustomEvent('fileselected',{detail:f})); }); }
-    zone.addEventListener('fileselected', (ev)=>{ const file=ev.detail; const nameEl = zone.querySelector('.filename'); if(nameEl) nameEl.textContent = file.name; });
+    zone.addEventListener('fileselected', (ev)=>{ const file=ev.detail; const nameEl = zone.querySelector('.filename'); const count = input ? input.files.length : 1; if(nameEl && file) nameEl.textContent = count>1 ? `${count} files selected` : file.name; });
   });
 });
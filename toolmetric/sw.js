@@ -0,0 +1,68 @@
+/*
+  sw.js - service worker that keeps ToolMetric usable offline.
+  On install it precaches the pages, main.js and the libraries committed in vendor/ (a file that fails to
+  download is skipped rather than failing the install; its CDN copy is cached when it is first used). Pages and main.js are
+  served network-first so updates arrive; libraries, fonts and OCR data are versioned, so they are served
+  cache-first.
+  Bump CACHE when the list changes; keep the vendor paths in step with LIBRARIES in main.js.
+*/
+
+const CACHE = 'toolmetric-v2';
+const TOOLS = [
+  'add-page-numbers', 'add-watermark', 'compress-pdf-to-200kb', 'compress-pdf', 'crop-pdf', 'delete-pages', 'extract-first-page',
+  'extract-images', 'extract-last-page', 'extract-tables', 'jpg-to-pdf', 'merge-pdf', 'ocr-pdf', 'organize-pages', 'pdf-pipeline',
+  'pdf-to-html', 'pdf-to-jpg', 'pdf-to-markdown', 'pdf-to-png', 'pdf-to-text', 'pdf-to-word', 'protect-pdf', 'redact-pdf',
+  'remove-blank-pages', 'remove-metadata', 'remove-page-numbers', 'reorder-pages', 'rotate-pdf', 'split-pdf', 'unlock-pdf', 'word-to-pdf'
+];
+const PRECACHE = [
+  './', 'index.html', 'style.css', 'main.js',
+  ...TOOLS.map(t=>`tools/${t}.html`),
+  'vendor/pdf-lib.min.js', 'vendor/pdfjs/pdf.min.js', 'vendor/pdfjs/pdf.worker.min.js', 'vendor/jszip.min.js', 'vendor/docx.js',
+  'vendor/fontkit.umd.min.js', 'vendor/fonts/NotoSans-Regular.ttf',
+  'vendor/tesseract/tesseract.min.js', 'vendor/tesseract/worker.min.js', 'vendor/tesseract/tesseract-core.wasm.js', 'vendor/tesseract/tesseract-core-simd.wasm.js',
+  'vendor/tessdata/eng.traineddata.gz'
+];
+// third-party hosts the loader falls back to (libraries, fonts and Tesseract's default language data); github.com is left
+// out on purpose: it answers with redirects, and caching the opaque result would pin a broken response
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'tessdata.projectnaptha.com'];
+
+self.addEventListener('install', event=>{
+  // add the files one by one: addAll would give up on the whole list if one vendor file is missing
+  event.waitUntil(caches.open(CACHE).then(cache=>Promise.all(PRECACHE.map(path=>
+    cache.add(new Request(path, { cache:'reload' })).catch(()=>console.warn('Not precached:', path))
+  ))).then(()=>self.skipWaiting()));
+});
+
+self.addEventListener('activate', event=>{
+  event.waitUntil(caches.keys().then(keys=>Promise.all(keys.filter(k=>k!==CACHE).map(k=>caches.delete(k)))).then(()=>self.clients.claim()));
+});
+
+async function cacheFirst(request){
+  // HEAD requests (the loader checks which OCR languages are hosted locally) are answered from the GET entry
+  const cached = await caches.match(request, { ignoreMethod:true });
+  if(cached) return cached;
+  const response = await fetch(request);
+  if(request.method==='GET' && (response.ok || response.type==='opaque')) (await caches.open(CACHE)).put(request, response.clone());
+  return response;
+}
+
+async function networkFirst(request){
+  try{
+    const response = await fetch(request);
+    if(response.ok) (await caches.open(CACHE)).put(request, response.clone());
+    return response;
+  }catch(err){
+    const cached = await caches.match(request, { ignoreSearch: request.mode==='navigate' });
+    if(cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', event=>{
+  const { request } = event;
+  if(request.method!=='GET' && request.method!=='HEAD') return;
+  const url = new URL(request.url);
+  const scope = new URL(self.registration.scope);
+  if(CDN_HOSTS.includes(url.hostname) || (url.origin===scope.origin && url.pathname.startsWith(scope.pathname+'vendor/'))) event.respondWith(cacheFirst(request));
+  else if(url.origin===scope.origin && request.method==='GET') event.respondWith(networkFirst(request));
+});